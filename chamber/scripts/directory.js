@@ -1,16 +1,98 @@
+import { levels, getMembers, createTextElement } from "./members.js";
+
 const membersContainer = document.querySelector("#members");
 const gridButton = document.querySelector("#grid");
 const listButton = document.querySelector("#list");
+const searchInput = document.querySelector("#search");
+const levelChips = document.querySelectorAll(".level-chip");
+const sortSelect = document.querySelector("#sort");
+const resultCount = document.querySelector("#result-count");
+
+/* ===== SAVED SETTINGS ===== */
+const storageKey = "chamber-directory";
+const defaults = { view: "grid", levels: [], sort: "name" };
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey)) || {};
+
+    return {
+      view: ["grid", "list"].includes(saved.view) ? saved.view : defaults.view,
+      levels: Array.isArray(saved.levels) ? saved.levels.filter(level => level in levels) : defaults.levels,
+      sort: ["name", "level"].includes(saved.sort) ? saved.sort : defaults.sort
+    };
+  } catch (error) {
+    return { ...defaults };
+  }
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify({
+      view: settings.view,
+      levels: settings.levels,
+      sort: settings.sort
+    }));
+  } catch (error) {
+    // Private mode or storage full: the choices just won't be remembered
+  }
+}
+
+const settings = loadSettings();
+let allMembers = [];
 
 // Footer dates
 document.querySelector("#year").textContent = new Date().getFullYear();
 document.querySelector("#lastModified").textContent = document.lastModified;
 
 // Fetch members data
-async function getMembers() {
-  const response = await fetch("data/members.json");
-  const data = await response.json();
-  displayMembers(data.members);
+async function loadMembers() {
+  try {
+    allMembers = await getMembers();
+  } catch (error) {
+    console.error("Directory error:", error);
+    resultCount.textContent = "The member directory could not be loaded.";
+    return;
+  }
+
+  updateDirectory();
+}
+
+/* ===== SEARCH, FILTER & SORT ===== */
+function filterMembers(members) {
+  const query = searchInput.value.trim().toLowerCase();
+
+  return members.filter(member => {
+    const matchesLevel = settings.levels.length === 0 || settings.levels.includes(member.membership.key);
+    const matchesQuery = query === "" ||
+      member.name.toLowerCase().includes(query) ||
+      member.address.toLowerCase().includes(query);
+
+    return matchesLevel && matchesQuery;
+  });
+}
+
+function sortMembers(members) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  if (settings.sort === "level") {
+    // Highest membership first, then alphabetical
+    return [...members].sort((a, b) =>
+      b.membership.rank - a.membership.rank || byName(a, b)
+    );
+  }
+
+  return [...members].sort(byName);
+}
+
+function updateDirectory() {
+  const members = sortMembers(filterMembers(allMembers));
+
+  displayMembers(members);
+
+  resultCount.textContent = members.length === 0
+    ? "No members match your search."
+    : `Showing ${members.length} of ${allMembers.length} members`;
 }
 
 function displayMembers(members) {
@@ -20,28 +102,80 @@ function displayMembers(members) {
     const card = document.createElement("section");
     card.classList.add("card");
 
-    card.innerHTML = `
-      <img src="images/${member.image}" alt="${member.name}">
-      <h3>${member.name}</h3>
-      <p>${member.address}</p>
-      <p>${member.phone}</p>
-      <a href="${member.website}" target="_blank">${member.website}</a>
-      <p>Membership Level: ${member.membership}</p>
-    `;
+    // Built with properties so quotes or tags in the data stay plain text
+    const image = document.createElement("img");
+    image.src = `images/${member.image}`;
+    image.alt = member.name;
+
+    const link = createTextElement("a", member.website);
+    link.href = member.website;
+    link.target = "_blank";
+
+    card.append(
+      image,
+      createTextElement("h3", member.name),
+      createTextElement("p", member.address),
+      createTextElement("p", member.phone),
+      link,
+      createTextElement("p", `Membership Level: ${member.membership.name}`)
+    );
 
     membersContainer.appendChild(card);
   });
 }
 
+/* ===== CONTROLS ===== */
+function setView(view) {
+  settings.view = view;
+
+  membersContainer.classList.toggle("grid", view === "grid");
+  membersContainer.classList.toggle("list", view === "list");
+  gridButton.setAttribute("aria-pressed", view === "grid");
+  listButton.setAttribute("aria-pressed", view === "list");
+}
+
+function syncControls() {
+  setView(settings.view);
+  sortSelect.value = settings.sort;
+
+  levelChips.forEach(chip => {
+    chip.setAttribute("aria-pressed", settings.levels.includes(chip.dataset.level));
+  });
+}
+
 // View toggle
 gridButton.addEventListener("click", () => {
-  membersContainer.classList.add("grid");
-  membersContainer.classList.remove("list");
+  setView("grid");
+  saveSettings();
 });
 
 listButton.addEventListener("click", () => {
-  membersContainer.classList.add("list");
-  membersContainer.classList.remove("grid");
+  setView("list");
+  saveSettings();
+});
+
+searchInput.addEventListener("input", updateDirectory);
+
+// Level chips can be combined; none selected shows every level
+levelChips.forEach(chip => {
+  chip.addEventListener("click", () => {
+    const level = chip.dataset.level;
+
+    settings.levels = settings.levels.includes(level)
+      ? settings.levels.filter(item => item !== level)
+      : [...settings.levels, level];
+
+    chip.setAttribute("aria-pressed", settings.levels.includes(level));
+    saveSettings();
+    updateDirectory();
+  });
+});
+
+sortSelect.addEventListener("change", () => {
+  settings.sort = sortSelect.value;
+  saveSettings();
+  updateDirectory();
 });
 
-getMembers();
+syncControls();
+loadMembers();
@@ -0,0 +1,127 @@
+/* ===== MEMBER DATA ===== */
+// Shared by the directory and the homepage spotlights.
+// members.json is fetched once per page; every record is checked and its
+// membership normalized, whether it was saved as a name ("Gold") or as a
+// numeric level (3).
+
+const dataUrl = "data/members.json";
+
+/* ===== MEMBERSHIP LEVELS ===== */
+// Same tiers as the join page, lowest first
+export const levels = {
+  np: { key: "np", name: "NP", rank: 0 },
+  bronze: { key: "bronze", name: "Bronze", rank: 1 },
+  silver: { key: "silver", name: "Silver", rank: 2 },
+  gold: { key: "gold", name: "Gold", rank: 3 }
+};
+
+// "Member" is the old name of the Bronze tier
+const levelAliases = {
+  member: "bronze"
+};
+
+const requiredFields = ["name", "address", "phone", "website", "image"];
+
+// Returns the level for a membership name or numeric rank, or null
+export function getLevel(value) {
+  if (typeof value === "number") {
+    return Object.values(levels).find(level => level.rank === value) || null;
+  }
+
+  if (typeof value === "string" && value.trim() !== "") {
+    const key = value.trim().toLowerCase();
+
+    if (/^\d+$/.test(key)) {
+      return getLevel(Number(key));
+    }
+
+    return levels[levelAliases[key] || key] || null;
+  }
+
+  return null;
+}
+
+/* ===== VALIDATION ===== */
+// Returns the names of the invalid fields (empty when the record is fine)
+export function getInvalidFields(member) {
+  if (!member || typeof member !== "object") {
+    return ["(record)"];
+  }
+
+  const invalid = requiredFields.filter(field =>
+    typeof member[field] !== "string" || member[field].trim() === ""
+  );
+
+  // Only web links; a "javascript:" website would run when clicked
+  if (!invalid.includes("website") && !/^https?:\/\//i.test(member.website.trim())) {
+    invalid.push("website");
+  }
+
+  if (!getLevel(member.membership ?? member.level)) {
+    invalid.push("membership");
+  }
+
+  return invalid;
+}
+
+// Copy of a valid record with `membership` set to its level ({ key, name, rank })
+export function normalizeMember(member) {
+  const { level, ...rest } = member;
+
+  return {
+    ...rest,
+    membership: getLevel(member.membership ?? level)
+  };
+}
+
+/* ===== CARD HELPERS ===== */
+// Element holding member data as plain text (never parsed as HTML)
+export function createTextElement(tag, text) {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  return element;
+}
+
+/* ===== LOADING ===== */
+let membersPromise = null;
+
+async function fetchMembers() {
+  const response = await fetch(dataUrl);
+
+  if (!response.ok) {
+    throw new Error(`Could not load members (HTTP ${response.status})`);
+  }
+
+  const data = await response.json();
+
+  if (!data || !Array.isArray(data.members)) {
+    throw new Error("Invalid members data: expected { members: [...] }");
+  }
+
+  const members = [];
+
+  data.members.forEach((member, index) => {
+    const invalid = getInvalidFields(member);
+
+    if (invalid.length === 0) {
+      members.push(normalizeMember(member));
+    } else {
+      console.warn(`Skipping member #${index + 1} (invalid: ${invalid.join(", ")})`, member);
+    }
+  });
+
+  return members;
+}
+
+// Valid, normalized members; later calls share the first request
+export function getMembers() {
+  if (!membersPromise) {
+    membersPromise = fetchMembers().catch(error => {
+      // Let the next call try again
+      membersPromise = null;
+      throw error;
+    });
+  }
+
+  return membersPromise;
+}
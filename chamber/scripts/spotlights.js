@@ -1,13 +1,14 @@
+import { levels, getMembers, createTextElement } from "./members.js";
+
 const container = document.getElementById("spotlight-container");
 
 async function loadSpotlights() {
   try {
-    const response = await fetch("data/members.json");
-    const data = await response.json();
+    const members = await getMembers();
 
-    // Solo Silver (2) y Gold (3)
-    const eligible = data.members.filter(member =>
-      member.level === 2 || member.level === 3
+    // Solo Silver y Gold
+    const eligible = members.filter(member =>
+      member.membership.rank >= levels.silver.rank
     );
 
     // Aleatorios
@@ -15,17 +16,31 @@ async function loadSpotlights() {
       .sort(() => 0.5 - Math.random())
       .slice(0, 3);
 
+    container.innerHTML = "";
+
     selected.forEach(member => {
-      const card = document.createElement("section");
-
-      card.innerHTML = `
-        <h3>${member.name}</h3>
-        <img src="images/${member.image}" alt="${member.name} logo">
-        <p>${member.address}</p>
-        <p>${member.phone}</p>
-        <a href="${member.website}" target="_blank">Visit Website</a>
-        <p><strong>${member.level === 3 ? "Gold" : "Silver"} Member</strong></p>
-      `;
+      const card = document.createElement("article");
+      card.classList.add("spotlight");
+
+      const image = document.createElement("img");
+      image.src = `images/${member.image}`;
+      image.alt = `${member.name} logo`;
+
+      const link = createTextElement("a", "Visit Website");
+      link.href = member.website;
+      link.target = "_blank";
+
+      const level = document.createElement("p");
+      level.append(createTextElement("strong", `${member.membership.name} Member`));
+
+      card.append(
+        createTextElement("h3", member.name),
+        image,
+        createTextElement("p", member.address),
+        createTextElement("p", member.phone),
+        link,
+        level
+      );
 
       container.appendChild(card);
     });
@@ -0,0 +1,305 @@
+/**
+ * Booking Module
+ * Handles the class booking flow inside the program modal and the "My bookings" list
+ */
+
+import { updateModalContent, setModalCta, closeModal } from './modal.js';
+import { addBooking, getBookings, cancelBooking } from './storage.js';
+import { getSessionsForDate, getRemainingSpots } from './schedule.js';
+import { t, formatDate, formatTime } from './i18n.js';
+import { escapeHtml, isValidEmail, toISODate } from './utils.js';
+import { showFormError, clearFormError } from './validation.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  form: '#booking-form',
+  slot: '#booking-slot',
+  name: '#booking-name',
+  email: '#booking-email',
+  confirm: '#booking-confirm',
+  back: '#booking-back'
+};
+
+const BOOKING_CONFIG = {
+  daysAhead: 7,
+  defaultTimes: ['07:00', '12:00', '18:00']
+};
+
+// ========================================
+// SLOT GENERATION
+// ========================================
+
+/**
+ * Get bookable slots for a program over the coming days
+ * Programs with a weekly schedule offer their sessions; programs without
+ * one (e.g. by appointment) fall back to the default daily times.
+ * @param {Object} program - Program data
+ * @param {Date} from - Start date
+ * @returns {Array} Array of { date, time, room, remaining } objects
+ */
+export function getAvailableSlots(program, from = new Date()) {
+  const booked = getBookings()
+    .filter(item => item.program === program.name)
+    .map(item => `${item.date}|${item.time}`);
+  
+  const now = `${toISODate(from)}|${String(from.getHours()).padStart(2, '0')}:${String(from.getMinutes()).padStart(2, '0')}`;
+  const hasSchedule = Array.isArray(program.sessions) && program.sessions.length > 0;
+  const slots = [];
+  
+  for (let offset = 0; offset < BOOKING_CONFIG.daysAhead; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    const date = toISODate(day);
+    
+    const sessions = hasSchedule
+      ? getSessionsForDate(program, day)
+      : BOOKING_CONFIG.defaultTimes.map(time => ({ time, room: null, capacity: null }));
+    
+    sessions.forEach(session => {
+      const key = `${date}|${session.time}`;
+      const remaining = session.capacity ? getRemainingSpots(program, session, date) : null;
+      
+      // Skip past, full and already booked sessions
+      if (key > now && remaining !== 0 && !booked.includes(key)) {
+        slots.push({ date, time: session.time, room: session.room, remaining });
+      }
+    });
+  }
+  
+  return slots;
+}
+
+// ========================================
+// BOOKING FLOW
+// ========================================
+
+/**
+ * Render the slot/contact step of the booking flow
+ * @param {Object} program - Program data
+ * @param {Object} draft - Previously entered values
+ * @param {Function} onBooked - Called after a booking is stored
+ */
+function renderBookingForm(program, draft, onBooked) {
+  const slots = getAvailableSlots(program);
+  
+  if (slots.length === 0) {
+    updateModalContent({
+      details: `<p class="booking-message">${t('booking.noSessions')}</p>`
+    });
+    setModalCta({ label: t('booking.close') });
+    return;
+  }
+  
+  const options = slots.map(({ date, time, room, remaining }) => {
+    const value = `${date}|${time}`;
+    const selected = value === draft.slot ? ' selected' : '';
+    const extra = room ? ` · ${escapeHtml(room)} · ${t('booking.spotsLeft', { count: remaining })}` : '';
+    return `<option value="${escapeHtml(value)}"${selected}>${escapeHtml(formatDate(date))} · ${escapeHtml(formatTime(time))}${extra}</option>`;
+  }).join('');
+  
+  updateModalContent({
+    details: `
+      <form id="booking-form" class="booking-form" novalidate>
+        <div class="form-group">
+          <label for="booking-slot" class="form-label">${t('booking.session')} <span class="required">*</span></label>
+          <select id="booking-slot" name="slot" class="form-select" required>
+            ${options}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="booking-name" class="form-label">${t('booking.name')} <span class="required">*</span></label>
+          <input type="text" id="booking-name" name="name" class="form-input" autocomplete="name" required aria-required="true" value="${escapeHtml(draft.name || '')}">
+        </div>
+        <div class="form-group">
+          <label for="booking-email" class="form-label">${t('booking.email')} <span class="required">*</span></label>
+          <input type="email" id="booking-email" name="email" class="form-input" autocomplete="email" required aria-required="true" value="${escapeHtml(draft.email || '')}">
+        </div>
+        <button type="submit" class="btn btn-primary btn-block">${t('booking.continue')}</button>
+      </form>
+    `
+  });
+  setModalCta({ hidden: true });
+  
+  const form = document.querySelector(SELECTORS.form);
+  if (!form) return;
+  
+  form.querySelector(SELECTORS.slot).focus();
+  
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    
+    const nameInput = form.querySelector(SELECTORS.name);
+    const emailInput = form.querySelector(SELECTORS.email);
+    const values = {
+      slot: form.querySelector(SELECTORS.slot).value,
+      name: nameInput.value.trim(),
+      email: emailInput.value.trim()
+    };
+    
+    let firstInvalid = null;
+    
+    if (!values.name) {
+      showFormError(nameInput, t('forms.nameRequired'));
+      firstInvalid = firstInvalid || nameInput;
+    } else {
+      clearFormError(nameInput);
+    }
+    
+    if (!isValidEmail(values.email)) {
+      showFormError(emailInput, t('forms.emailInvalid'));
+      firstInvalid = firstInvalid || emailInput;
+    } else {
+      clearFormError(emailInput);
+    }
+    
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+    
+    renderBookingConfirmation(program, values, onBooked);
+  });
+}
+
+/**
+ * Render the confirmation step of the booking flow
+ * @param {Object} program - Program data
+ * @param {Object} values - Selected slot and contact details
+ * @param {Function} onBooked - Called after a booking is stored
+ */
+function renderBookingConfirmation(program, values, onBooked) {
+  const [date, time] = values.slot.split('|');
+  
+  updateModalContent({
+    details: `
+      <div class="booking-summary">
+        <p><strong>${t('booking.program')}:</strong> ${escapeHtml(program.name)}</p>
+        <p><strong>${t('booking.session')}:</strong> ${escapeHtml(formatDate(date))} · ${escapeHtml(formatTime(time))}</p>
+        <p><strong>${t('booking.trainer')}:</strong> ${escapeHtml(program.trainer)}</p>
+        <p><strong>${t('booking.name')}:</strong> ${escapeHtml(values.name)}</p>
+        <p><strong>${t('booking.email')}:</strong> ${escapeHtml(values.email)}</p>
+      </div>
+      <div class="booking-actions">
+        <button type="button" id="booking-back" class="btn btn-outline">${t('booking.back')}</button>
+        <button type="button" id="booking-confirm" class="btn btn-primary">${t('booking.confirm')}</button>
+      </div>
+    `
+  });
+  
+  const backButton = document.querySelector(SELECTORS.back);
+  const confirmButton = document.querySelector(SELECTORS.confirm);
+  
+  if (backButton) {
+    backButton.addEventListener('click', () => renderBookingForm(program, values, onBooked));
+  }
+  
+  if (confirmButton) {
+    confirmButton.focus();
+    confirmButton.addEventListener('click', () => {
+      const booking = addBooking({
+        program: program.name,
+        type: program.type,
+        date,
+        time,
+        name: values.name,
+        email: values.email
+      });
+      
+      if (!booking) {
+        updateModalContent({
+          details: `<p class="booking-message" role="alert">${t('booking.saveFailed')}</p>`
+        });
+        setModalCta({ label: t('booking.chooseAnother'), onClick: () => renderBookingForm(program, values, onBooked) });
+        return;
+      }
+      
+      updateModalContent({
+        details: `<p class="booking-message" role="status">${escapeHtml(t('booking.success', {
+          name: program.name,
+          date: formatDate(date),
+          time: formatTime(time)
+        }))}</p>`
+      });
+      setModalCta({ label: t('booking.done'), onClick: closeModal });
+      
+      if (typeof onBooked === 'function') {
+        onBooked(booking);
+      }
+    });
+  }
+}
+
+/**
+ * Start the booking flow for a program in the open modal
+ * @param {Object} program - Program data
+ * @param {Object} [options] - Flow options
+ * @param {Function} [options.onBooked] - Called after a booking is stored
+ */
+export function startBooking(program, { onBooked } = {}) {
+  updateModalContent({ title: t('booking.title', { name: program.name }) });
+  renderBookingForm(program, {}, onBooked);
+}
+
+// ========================================
+// MY BOOKINGS
+// ========================================
+
+/**
+ * Render the member's bookings list
+ * @param {HTMLElement} container - List container
+ * @param {Object} [options] - Render options
+ * @param {Function} [options.onChange] - Called after a booking is cancelled
+ */
+export function renderBookings(container, { onChange } = {}) {
+  if (!container) return;
+  
+  const bookings = getBookings();
+  container.innerHTML = '';
+  
+  if (bookings.length === 0) {
+    container.innerHTML = `<li class="booking-empty">${t('booking.empty')}</li>`;
+    return;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  
+  bookings.forEach(booking => {
+    const item = document.createElement('li');
+    item.classList.add('booking-item');
+    item.innerHTML = `
+      <div class="booking-info">
+        <strong>${escapeHtml(booking.program)}</strong>
+        <span>${escapeHtml(formatDate(booking.date))} · ${escapeHtml(formatTime(booking.time))}</span>
+      </div>
+      <button type="button" class="btn-link" aria-label="${escapeHtml(t('booking.cancelLabel', { name: booking.program, date: formatDate(booking.date) }))}">
+        ${t('booking.cancel')}
+      </button>
+    `;
+    
+    item.querySelector('button').addEventListener('click', () => {
+      if (cancelBooking(booking.id)) {
+        renderBookings(container, { onChange });
+        
+        if (typeof onChange === 'function') {
+          onChange();
+        }
+      }
+    });
+    
+    fragment.appendChild(item);
+  });
+  
+  container.appendChild(fragment);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  start: startBooking,
+  renderBookings,
+  getAvailableSlots
+};
@@ -0,0 +1,70 @@
+/**
+ * Config Module
+ * Reads deployment settings from <meta> tags so pages can point at a different backend
+ *
+ * Example:
+ *   <meta name="fitness:classes-endpoint" content="/api/classes">
+ */
+
+// ========================================
+// DEFAULTS
+// ========================================
+
+const DEFAULT_CONFIG = {
+  // Static JSON array or a paginated REST endpoint ({ data, page, totalPages })
+  classesEndpoint: 'data/classes.json',
+  
+  // Trainer profiles for the about page, same formats as classes
+  trainersEndpoint: 'data/trainers.json'
+};
+
+// <meta name> for each setting
+const META_NAMES = {
+  classesEndpoint: 'fitness:classes-endpoint',
+  trainersEndpoint: 'fitness:trainers-endpoint'
+};
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Read a setting from its <meta> tag
+ * @param {string} key - Setting name
+ * @returns {string|null} Trimmed content or null when missing/empty
+ */
+function readMeta(key) {
+  const meta = document.querySelector(`meta[name="${META_NAMES[key]}"]`);
+  const content = meta ? meta.getAttribute('content') : null;
+  
+  return content && content.trim() ? content.trim() : null;
+}
+
+/**
+ * Get the active configuration
+ * @returns {Object} Settings with <meta> overrides applied
+ */
+export function getConfig() {
+  return Object.keys(DEFAULT_CONFIG).reduce((config, key) => {
+    config[key] = readMeta(key) ?? DEFAULT_CONFIG[key];
+    return config;
+  }, {});
+}
+
+/**
+ * Get a single setting
+ * @param {string} key - Setting name
+ * @returns {any}
+ */
+export function getConfigValue(key) {
+  return getConfig()[key];
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  get: getConfig,
+  getValue: getConfigValue
+};
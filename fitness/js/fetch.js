@@ -1,19 +1,126 @@
 /**
  * Data Fetching Module
  * Handles API calls and data retrieval with error handling and retry logic
+ *
+ * The classes and trainers endpoints (see config.js) may return either a plain
+ * JSON array or one page of a paginated REST collection:
+ *   GET /api/classes?page=1 → { data: [...], page: 1, totalPages: 2, total: 15 }
  */
 
+import { isValidSession } from './schedule.js';
+import { getConfigValue } from './config.js';
+
 // ========================================
 // CONFIGURATION
 // ========================================
 
 const CONFIG = {
-  dataPath: 'data/classes.json',
+  maxPages: 50,
+  cachedAtHeader: 'X-Cached-At',
   maxRetries: 3,
   retryDelay: 1000,
   timeout: 5000
 };
 
+// "All Levels" classes suit everyone, so they rank before Beginner
+const LEVEL_ORDER = {
+  'all levels': 0,
+  'beginner': 1,
+  'intermediate': 2,
+  'advanced': 3
+};
+
+export const SORT_FIELDS = ['default', 'name', 'duration', 'level', 'trainer'];
+
+// Where the last successful getClasses() response came from
+let dataSource = { fromCache: false, cachedAt: null };
+
+// Records dropped by validateClasses() during the last successful load
+let droppedClasses = [];
+
+// ========================================
+// ERROR TYPES
+// ========================================
+
+/**
+ * Base class for class data loading failures
+ * `code` is stable and safe to branch on (and to build message keys from).
+ */
+export class DataLoadError extends Error {
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Developer facing message
+   * @param {Object} [options] - Extra details
+   * @param {boolean} [options.retryable] - Whether trying again may help
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'DataLoadError';
+    this.code = code;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+/** The request did not finish within the timeout */
+export class TimeoutError extends DataLoadError {
+  constructor(timeout) {
+    super('timeout', `Request timed out after ${timeout}ms`, { retryable: true });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/** The request failed before reaching the server (offline, DNS, CORS) */
+export class NetworkError extends DataLoadError {
+  constructor(cause) {
+    super('network', 'Network request failed', { retryable: true, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/** The server answered with a non-2xx status */
+export class HttpError extends DataLoadError {
+  constructor(status, statusText = '') {
+    // Client errors won't fix themselves; server errors might
+    super('http', `HTTP error! status: ${status}`, { retryable: status >= 500 });
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+/** The server answered with something other than JSON */
+export class ContentTypeError extends DataLoadError {
+  constructor(contentType) {
+    super('content-type', `Invalid content type: expected JSON, got ${contentType || 'none'}`);
+    this.name = 'ContentTypeError';
+    this.contentType = contentType;
+  }
+}
+
+/** The body claimed to be JSON but could not be parsed */
+export class ParseError extends DataLoadError {
+  constructor(cause) {
+    super('parse', 'Invalid JSON received', { cause });
+    this.name = 'ParseError';
+  }
+}
+
+/** The JSON parsed but holds no usable classes */
+export class ValidationError extends DataLoadError {
+  /**
+   * @param {string} message - What was wrong
+   * @param {Array} [dropped] - Rejected records (see validateClasses)
+   */
+  constructor(message, dropped = []) {
+    super('validation', message);
+    this.name = 'ValidationError';
+    this.dropped = dropped;
+  }
+}
+
 // ========================================
 // FETCH WITH TIMEOUT
 // ========================================
@@ -23,20 +130,24 @@ const CONFIG = {
  * @param {string} url - URL to fetch
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<Response>}
+ * @throws {TimeoutError|NetworkError}
  */
-async function fetchWithTimeout(url, timeout = CONFIG.timeout) {
+export async function fetchWithTimeout(url, timeout = CONFIG.timeout) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
   
   try {
-    const response = await fetch(url, {
+    return await fetch(url, {
       signal: controller.signal
     });
-    clearTimeout(timeoutId);
-    return response;
   } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(timeout);
+    }
+    
+    throw new NetworkError(error);
+  } finally {
     clearTimeout(timeoutId);
-    throw error;
   }
 }
 
@@ -46,16 +157,17 @@ async function fetchWithTimeout(url, timeout = CONFIG.timeout) {
 
 /**
  * Retry a function with exponential backoff
+ * Errors flagged as not retryable (e.g. bad data) are thrown right away.
  * @param {Function} fn - Async function to retry
  * @param {number} retries - Number of retries
  * @param {number} delay - Initial delay in milliseconds
  * @returns {Promise<any>}
  */
-async function retry(fn, retries = CONFIG.maxRetries, delay = CONFIG.retryDelay) {
+export async function retry(fn, retries = CONFIG.maxRetries, delay = CONFIG.retryDelay) {
   try {
     return await fn();
   } catch (error) {
-    if (retries <= 0) {
+    if (retries <= 0 || error.retryable === false) {
       throw error;
     }
     
@@ -72,45 +184,118 @@ async function retry(fn, retries = CONFIG.maxRetries, delay = CONFIG.retryDelay)
 // ========================================
 
 /**
- * Validate class data structure
+ * List the fields that make a class record invalid
  * @param {Object} classData - Class object to validate
- * @returns {boolean}
+ * @returns {Array} Invalid field names (empty when the record is valid)
  */
-function isValidClass(classData) {
+function getInvalidFields(classData) {
   const requiredFields = ['name', 'type', 'duration', 'level', 'trainer'];
   
   if (!classData || typeof classData !== 'object') {
-    return false;
+    return ['(record)'];
   }
   
-  return requiredFields.every(field => {
-    return classData.hasOwnProperty(field) && 
-           typeof classData[field] === 'string' && 
-           classData[field].trim() !== '';
+  const invalid = requiredFields.filter(field => {
+    return !classData.hasOwnProperty(field) ||
+           typeof classData[field] !== 'string' ||
+           classData[field].trim() === '';
   });
+  
+  // Sessions are optional; older entries without a schedule stay valid
+  if (classData.sessions !== undefined &&
+      !(Array.isArray(classData.sessions) && classData.sessions.every(isValidSession))) {
+    invalid.push('sessions');
+  }
+  
+  return invalid;
 }
 
 /**
  * Validate array of classes
  * @param {Array} classes - Array of class objects
- * @returns {Array} Validated classes
+ * @returns {Object} { classes, dropped } - dropped lists { index, name, fields } per rejected record
+ * @throws {ValidationError} When the data isn't an array or no record is valid
  */
-function validateClasses(classes) {
+export function validateClasses(classes) {
   if (!Array.isArray(classes)) {
-    throw new Error('Invalid data format: expected an array');
+    throw new ValidationError('Invalid data format: expected an array of classes');
   }
   
-  const validClasses = classes.filter(isValidClass);
+  const validClasses = [];
+  const dropped = [];
+  
+  classes.forEach((classData, index) => {
+    const fields = getInvalidFields(classData);
+    
+    if (fields.length === 0) {
+      validClasses.push(classData);
+    } else {
+      const name = classData && typeof classData.name === 'string' ? classData.name : null;
+      dropped.push({ index, name, fields });
+    }
+  });
   
   if (validClasses.length === 0) {
-    throw new Error('No valid classes found in data');
+    throw new ValidationError('No valid classes found in data', dropped);
+  }
+  
+  if (dropped.length > 0) {
+    console.warn(`${dropped.length} invalid classes were filtered out`, dropped);
+  }
+  
+  return { classes: validClasses, dropped };
+}
+
+/**
+ * List the fields that make a trainer profile invalid
+ * @param {Object} trainer - Trainer object to validate
+ * @returns {Array} Invalid field names (empty when the profile is valid)
+ */
+function getInvalidTrainerFields(trainer) {
+  if (!trainer || typeof trainer !== 'object') {
+    return ['(record)'];
+  }
+  
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  
+  const invalid = ['name', 'fullName', 'role', 'bio'].filter(field => !isText(trainer[field]));
+  
+  ['specialties', 'certifications'].forEach(field => {
+    if (!Array.isArray(trainer[field]) || !trainer[field].every(isText)) {
+      invalid.push(field);
+    }
+  });
+  
+  // Profiles without a photo show the trainer's initial instead
+  if (trainer.photo !== undefined && trainer.photo !== null && !isText(trainer.photo)) {
+    invalid.push('photo');
   }
   
-  if (validClasses.length < classes.length) {
-    console.warn(`${classes.length - validClasses.length} invalid classes were filtered out`);
+  return invalid;
+}
+
+/**
+ * Validate array of trainer profiles
+ * @param {Array} trainers - Array of trainer objects
+ * @returns {Array} Valid trainer profiles
+ * @throws {ValidationError} When the data isn't an array or no profile is valid
+ */
+function validateTrainers(trainers) {
+  if (!Array.isArray(trainers)) {
+    throw new ValidationError('Invalid data format: expected an array of trainers');
+  }
+  
+  const validTrainers = trainers.filter(trainer => getInvalidTrainerFields(trainer).length === 0);
+  
+  if (validTrainers.length === 0) {
+    throw new ValidationError('No valid trainers found in data');
+  }
+  
+  if (validTrainers.length < trainers.length) {
+    console.warn(`${trainers.length - validTrainers.length} invalid trainers were filtered out`);
   }
   
-  return validClasses;
+  return validTrainers;
 }
 
 // ========================================
@@ -118,55 +303,166 @@ function validateClasses(classes) {
 // ========================================
 
 /**
- * Fetch classes data from JSON file
- * @returns {Promise<Array>} Array of class objects
+ * Fetch and parse a JSON document
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} { data, response }
+ * @throws {DataLoadError}
  */
-export async function getClasses() {
+async function fetchJson(url) {
+  const response = await fetchWithTimeout(url);
+  
+  // Check if response is ok
+  if (!response.ok) {
+    throw new HttpError(response.status, response.statusText);
+  }
+  
+  // Check content type
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new ContentTypeError(contentType);
+  }
+  
+  // Parse JSON
+  try {
+    return { data: await response.json(), response };
+  } catch (error) {
+    throw new ParseError(error);
+  }
+}
+
+/**
+ * Check if a payload is one page of a paginated collection
+ * @param {any} payload - Parsed JSON
+ * @returns {boolean}
+ */
+function isPage(payload) {
+  return Boolean(payload) &&
+    typeof payload === 'object' &&
+    !Array.isArray(payload) &&
+    Array.isArray(payload.data);
+}
+
+/**
+ * Build the URL of a collection page
+ * @param {string} endpoint - Collection endpoint
+ * @param {number} page - Page number (1-based)
+ * @returns {string}
+ */
+function buildPageUrl(endpoint, page) {
+  const url = new URL(endpoint, window.location.href);
+  url.searchParams.set('page', String(page));
+  return url.href;
+}
+
+/**
+ * Collect the records of every page after the first one
+ * @param {string} endpoint - Collection endpoint
+ * @param {Object} firstPage - First page payload
+ * @returns {Promise<Array>} Records from all pages
+ */
+async function fetchRemainingPages(endpoint, firstPage) {
+  const records = [...firstPage.data];
+  const current = Number.isInteger(firstPage.page) ? firstPage.page : 1;
+  const totalPages = Number.isInteger(firstPage.totalPages)
+    ? Math.min(firstPage.totalPages, CONFIG.maxPages)
+    : current;
+  
+  for (let page = current + 1; page <= totalPages; page++) {
+    const { data } = await fetchJson(buildPageUrl(endpoint, page));
+    
+    if (!isPage(data)) {
+      throw new ValidationError(`Invalid data format: page ${page} has no data array`);
+    }
+    
+    records.push(...data.data);
+  }
+  
+  return records;
+}
+
+/**
+ * Fetch classes from the configured endpoint
+ * @param {string} [endpoint] - Static JSON file or REST collection (defaults to config)
+ * @returns {Promise<Array>} Array of valid class objects
+ * @throws {DataLoadError} Typed error describing why loading failed
+ */
+export async function getClasses(endpoint = getConfigValue('classesEndpoint')) {
   try {
     // Attempt to fetch with retry logic
-    const data = await retry(async () => {
-      const response = await fetchWithTimeout(CONFIG.dataPath);
+    return await retry(async () => {
+      const { data, response } = await fetchJson(endpoint);
       
-      // Check if response is ok
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      const records = isPage(data)
+        ? await fetchRemainingPages(endpoint, data)
+        : data;
       
-      // Check content type
-      const contentType = response.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        throw new Error('Invalid content type: expected JSON');
-      }
+      // Validate data
+      const { classes, dropped } = validateClasses(records);
       
-      // Parse JSON
-      const data = await response.json();
+      // The service worker stamps responses it answers from its cache
+      const cachedAt = response.headers.get(CONFIG.cachedAtHeader);
+      dataSource = { fromCache: Boolean(cachedAt), cachedAt };
+      droppedClasses = dropped;
       
-      // Validate data
-      return validateClasses(data);
+      return classes;
     });
-    
-    return data;
-    
   } catch (error) {
     // Log error for debugging
     console.error('Error fetching classes:', error);
     
-    // Provide user-friendly error message
-    if (error.name === 'AbortError') {
-      console.error('Request timeout: The server took too long to respond');
-    } else if (error.message.includes('HTTP error')) {
-      console.error('Server error: Unable to fetch data');
-    } else if (error.message.includes('JSON')) {
-      console.error('Data format error: Invalid JSON received');
-    } else {
-      console.error('Network error: Please check your connection');
+    // Anything unexpected still reaches callers as a DataLoadError
+    if (error instanceof DataLoadError) {
+      throw error;
+    }
+    
+    throw new DataLoadError('unknown', error.message, { cause: error });
+  }
+}
+
+/**
+ * Fetch trainer profiles from the configured endpoint
+ * @param {string} [endpoint] - Static JSON file or REST collection (defaults to config)
+ * @returns {Promise<Array>} Array of valid trainer objects
+ * @throws {DataLoadError} Typed error describing why loading failed
+ */
+export async function getTrainers(endpoint = getConfigValue('trainersEndpoint')) {
+  try {
+    return await retry(async () => {
+      const { data } = await fetchJson(endpoint);
+      
+      const records = isPage(data)
+        ? await fetchRemainingPages(endpoint, data)
+        : data;
+      
+      return validateTrainers(records);
+    });
+  } catch (error) {
+    console.error('Error fetching trainers:', error);
+    
+    if (error instanceof DataLoadError) {
+      throw error;
     }
     
-    // Return empty array as fallback
-    return [];
+    throw new DataLoadError('unknown', error.message, { cause: error });
   }
 }
 
+/**
+ * Get where the last loaded classes came from
+ * @returns {Object} { fromCache, cachedAt } - cachedAt is an ISO timestamp or null
+ */
+export function getDataSource() {
+  return { ...dataSource };
+}
+
+/**
+ * Get the records validateClasses() dropped during the last load
+ * @returns {Array} Array of { index, name, fields } objects
+ */
+export function getDroppedClasses() {
+  return droppedClasses.map(record => ({ ...record, fields: [...record.fields] }));
+}
+
 // ========================================
 // ADDITIONAL UTILITY FUNCTIONS
 // ========================================
@@ -219,6 +515,34 @@ export function filterByTrainer(classes, trainer) {
   );
 }
 
+/**
+ * Parse a duration string into minutes
+ * @param {string} duration - Duration string (e.g. "45 min")
+ * @returns {number} Minutes, or NaN if not parseable
+ */
+export function parseDuration(duration) {
+  const match = /(\d+)/.exec(String(duration));
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+/**
+ * Filter classes by duration range
+ * @param {Array} classes - Array of class objects
+ * @param {number|null} min - Minimum minutes (inclusive)
+ * @param {number|null} max - Maximum minutes (inclusive)
+ * @returns {Array} Filtered classes
+ */
+export function filterByDuration(classes, min = null, max = null) {
+  if (min === null && max === null) {
+    return classes;
+  }
+  
+  return classes.filter(classData => {
+    const minutes = parseDuration(classData.duration);
+    return (min === null || minutes >= min) && (max === null || minutes <= max);
+  });
+}
+
 /**
  * Search classes by name
  * @param {Array} classes - Array of class objects
@@ -249,6 +573,90 @@ export function getUniqueTypes(classes) {
   return [...new Set(types)].sort();
 }
 
+/**
+ * Get unique levels from classes
+ * @param {Array} classes - Array of class objects
+ * @returns {Array} Array of unique levels
+ */
+export function getUniqueLevels(classes) {
+  const levels = classes.map(classData => classData.level);
+  return [...new Set(levels)].sort();
+}
+
+/**
+ * Get shortest and longest class duration
+ * @param {Array} classes - Array of class objects
+ * @returns {Object} Object with min and max minutes
+ */
+export function getDurationRange(classes) {
+  const minutes = classes
+    .map(classData => parseDuration(classData.duration))
+    .filter(value => !Number.isNaN(value));
+  
+  return {
+    min: minutes.length ? Math.min(...minutes) : 0,
+    max: minutes.length ? Math.max(...minutes) : 0
+  };
+}
+
+/**
+ * Apply every active filter facet to classes
+ * @param {Array} classes - Array of class objects
+ * @param {Object} filters - Active filters
+ * @param {string} filters.type - Type or 'all'
+ * @param {string} filters.level - Level or 'all'
+ * @param {string} filters.trainer - Trainer or 'all'
+ * @param {number|null} filters.minDuration - Minimum minutes
+ * @param {number|null} filters.maxDuration - Maximum minutes
+ * @param {string} filters.query - Free-text search
+ * @returns {Array} Filtered classes
+ */
+export function filterClasses(classes, filters = {}) {
+  let result = filterByType(classes, filters.type);
+  result = filterByLevel(result, filters.level);
+  result = filterByTrainer(result, filters.trainer);
+  result = filterByDuration(result, filters.minDuration ?? null, filters.maxDuration ?? null);
+  return searchClasses(result, filters.query);
+}
+
+/**
+ * Get sortable rank of a level
+ * @param {string} level - Level name
+ * @returns {number} Rank (unknown levels rank last)
+ */
+export function getLevelRank(level) {
+  const rank = LEVEL_ORDER[String(level).toLowerCase()];
+  return rank === undefined ? Object.keys(LEVEL_ORDER).length : rank;
+}
+
+/**
+ * Sort classes by a field
+ * @param {Array} classes - Array of class objects
+ * @param {Object} sort - Sort options
+ * @param {string} sort.by - One of SORT_FIELDS ('default' keeps data order)
+ * @param {string} sort.direction - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+export function sortClasses(classes, { by = 'default', direction = 'asc' } = {}) {
+  if (by === 'default' || !SORT_FIELDS.includes(by)) {
+    return direction === 'desc' ? [...classes].reverse() : [...classes];
+  }
+  
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    trainer: (a, b) => a.trainer.localeCompare(b.trainer),
+    duration: (a, b) => parseDuration(a.duration) - parseDuration(b.duration),
+    level: (a, b) => getLevelRank(a.level) - getLevelRank(b.level)
+  }[by];
+  
+  const factor = direction === 'desc' ? -1 : 1;
+  
+  return [...classes].sort((a, b) => {
+    // Ties always fall back to name A-Z
+    return (compare(a, b) * factor) || a.name.localeCompare(b.name);
+  });
+}
+
 /**
  * Get unique trainers from classes
  * @param {Array} classes - Array of class objects
@@ -282,3 +690,35 @@ export function getClassCountByType(classes) {
     return acc;
   }, {});
 }
+
+/**
+ * Get classes by level with count
+ * @param {Array} classes - Array of class objects
+ * @returns {Object} Object with levels as keys (easiest first) and counts as values
+ */
+export function getClassCountByLevel(classes) {
+  const levels = [...new Set(classes.map(classData => classData.level))]
+    .sort((a, b) => getLevelRank(a) - getLevelRank(b) || a.localeCompare(b));
+  
+  return levels.reduce((acc, level) => {
+    acc[level] = classes.filter(classData => classData.level === level).length;
+    return acc;
+  }, {});
+}
+
+/**
+ * Get the total scheduled minutes of a week
+ * Classes without sessions are booked by appointment and don't count.
+ * @param {Array} classes - Array of class objects
+ * @returns {Object} { minutes, sessions } - total minutes and number of weekly sessions
+ */
+export function getWeeklyMinutes(classes) {
+  return classes.reduce((acc, classData) => {
+    const sessions = (classData.sessions || []).length;
+    const minutes = parseDuration(classData.duration);
+    
+    acc.sessions += sessions;
+    acc.minutes += Number.isNaN(minutes) ? 0 : minutes * sessions;
+    return acc;
+  }, { minutes: 0, sessions: 0 });
+}
@@ -0,0 +1,348 @@
+/**
+ * Filters Module
+ * Builds the program filter controls from class data and reports changes
+ */
+
+import {
+  getUniqueTypes,
+  getUniqueLevels,
+  getUniqueTrainers,
+  getDurationRange,
+  SORT_FIELDS
+} from './fetch.js';
+import { t } from './i18n.js';
+import { escapeHtml, debounce } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  search: '#filter-search',
+  typeButtons: '.filter-btn',
+  level: '#filter-level',
+  trainer: '#filter-trainer',
+  minDuration: '#filter-min-duration',
+  maxDuration: '#filter-max-duration',
+  clear: '#filter-clear',
+  favoritesOnly: '#filter-favorites',
+  resultCount: '#result-count',
+  sortBy: '#sort-by',
+  sortDirection: '#sort-direction'
+};
+
+const SEARCH_DELAY = 300;
+
+export const DEFAULT_FILTERS = {
+  type: 'all',
+  level: 'all',
+  trainer: 'all',
+  minDuration: null,
+  maxDuration: null,
+  query: '',
+  favoritesOnly: false
+};
+
+export const DEFAULT_SORT = {
+  by: 'default',
+  direction: 'asc'
+};
+
+// ========================================
+// MARKUP
+// ========================================
+
+/**
+ * Build <option> elements for a select facet
+ * @param {Array} values - Option values
+ * @param {string} allLabel - Label for the "all" option
+ * @returns {string} HTML string
+ */
+function buildOptions(values, allLabel) {
+  const options = values.map(value =>
+    `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`
+  ).join('');
+  
+  return `<option value="all">${allLabel}</option>${options}`;
+}
+
+/**
+ * Build filter controls markup
+ * @param {Array} classes - Array of class objects
+ * @returns {string} HTML string
+ */
+function buildControls(classes) {
+  const types = getUniqueTypes(classes);
+  const range = getDurationRange(classes);
+  
+  const typeButtons = ['all', ...types].map(type => `
+    <button type="button" class="filter-btn" data-filter="${escapeHtml(type)}" aria-pressed="false">
+      ${type === 'all' ? t('filters.allTypes') : escapeHtml(type)}
+    </button>
+  `).join('');
+  
+  return `
+    <div class="filter-search">
+      <label for="filter-search" class="sr-only">${t('filters.searchLabel')}</label>
+      <input type="search" id="filter-search" class="form-input" placeholder="${escapeHtml(t('filters.searchPlaceholder'))}" autocomplete="off">
+    </div>
+    <div class="filters" role="group" aria-label="${escapeHtml(t('filters.typeGroup'))}">
+      ${typeButtons}
+    </div>
+    <div class="filter-facets">
+      <div class="filter-field">
+        <label for="filter-level" class="form-label">${t('filters.level')}</label>
+        <select id="filter-level" class="form-select">
+          ${buildOptions(getUniqueLevels(classes), t('filters.allLevels'))}
+        </select>
+      </div>
+      <div class="filter-field">
+        <label for="filter-trainer" class="form-label">${t('filters.trainer')}</label>
+        <select id="filter-trainer" class="form-select">
+          ${buildOptions(getUniqueTrainers(classes), t('filters.allTrainers'))}
+        </select>
+      </div>
+      <fieldset class="filter-field filter-duration">
+        <legend class="form-label">${t('filters.duration')}</legend>
+        <label for="filter-min-duration" class="sr-only">${t('filters.minDuration')}</label>
+        <input type="number" id="filter-min-duration" class="form-input" min="${range.min}" max="${range.max}" step="5" placeholder="${range.min}">
+        <span aria-hidden="true">–</span>
+        <label for="filter-max-duration" class="sr-only">${t('filters.maxDuration')}</label>
+        <input type="number" id="filter-max-duration" class="form-input" min="${range.min}" max="${range.max}" step="5" placeholder="${range.max}">
+      </fieldset>
+      <div class="filter-field filter-toggle">
+        <input type="checkbox" id="filter-favorites">
+        <label for="filter-favorites">${t('filters.favoritesOnly')}</label>
+      </div>
+    </div>
+    <div class="filter-status">
+      <p id="result-count" class="result-count"></p>
+      <div class="sort-controls">
+        <label for="sort-by" class="form-label">${t('filters.sortBy')}</label>
+        <select id="sort-by" class="form-select">
+          ${SORT_FIELDS.map(value => `<option value="${value}">${t(`filters.sort.${value}`)}</option>`).join('')}
+        </select>
+        <button type="button" id="sort-direction" class="sort-direction" aria-pressed="false">${t('filters.ascending')}</button>
+      </div>
+      <button type="button" id="filter-clear" class="btn-link">${t('filters.clear')}</button>
+    </div>
+  `;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Read a duration input as a number or null
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number|null}
+ */
+function readDuration(input) {
+  const value = parseInt(input.value, 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Render filter controls and wire change events
+ * @param {HTMLElement} container - Controls container
+ * @param {Array} classes - Array of class objects
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onChange - Called with the changed filter facets
+ * @param {Function} options.onClear - Called when all filters are cleared
+ * @param {Function} options.onSortChange - Called with the changed sort options
+ */
+export function renderFilterControls(container, classes, { onChange, onClear, onSortChange }) {
+  if (!container) return;
+  
+  container.innerHTML = buildControls(classes);
+  
+  const search = container.querySelector(SELECTORS.search);
+  const level = container.querySelector(SELECTORS.level);
+  const trainer = container.querySelector(SELECTORS.trainer);
+  const minDuration = container.querySelector(SELECTORS.minDuration);
+  const maxDuration = container.querySelector(SELECTORS.maxDuration);
+  
+  search.addEventListener('input', debounce(() => {
+    onChange({ query: search.value });
+  }, SEARCH_DELAY));
+  
+  container.querySelectorAll(SELECTORS.typeButtons).forEach(button => {
+    button.addEventListener('click', () => onChange({ type: button.dataset.filter }));
+  });
+  
+  const favoritesOnly = container.querySelector(SELECTORS.favoritesOnly);
+  favoritesOnly.addEventListener('change', () => onChange({ favoritesOnly: favoritesOnly.checked }));
+  
+  level.addEventListener('change', () => onChange({ level: level.value }));
+  trainer.addEventListener('change', () => onChange({ trainer: trainer.value }));
+  
+  const handleDuration = debounce(() => {
+    onChange({
+      minDuration: readDuration(minDuration),
+      maxDuration: readDuration(maxDuration)
+    });
+  }, SEARCH_DELAY);
+  
+  minDuration.addEventListener('input', handleDuration);
+  maxDuration.addEventListener('input', handleDuration);
+  
+  container.querySelector(SELECTORS.clear).addEventListener('click', onClear);
+  
+  const sortBy = container.querySelector(SELECTORS.sortBy);
+  const sortDirection = container.querySelector(SELECTORS.sortDirection);
+  
+  sortBy.addEventListener('change', () => onSortChange({ by: sortBy.value }));
+  sortDirection.addEventListener('click', () => {
+    const isDescending = sortDirection.getAttribute('aria-pressed') === 'true';
+    onSortChange({ direction: isDescending ? 'asc' : 'desc' });
+  });
+}
+
+/**
+ * Reflect a filter state in the controls
+ * @param {HTMLElement} container - Controls container
+ * @param {Object} filters - Active filters
+ */
+export function syncFilterControls(container, filters) {
+  if (!container) return;
+  
+  container.querySelectorAll(SELECTORS.typeButtons).forEach(button => {
+    const isActive = button.dataset.filter === filters.type;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+  
+  const fields = [
+    [SELECTORS.search, filters.query],
+    [SELECTORS.level, filters.level],
+    [SELECTORS.trainer, filters.trainer],
+    [SELECTORS.minDuration, filters.minDuration ?? ''],
+    [SELECTORS.maxDuration, filters.maxDuration ?? '']
+  ];
+  
+  fields.forEach(([selector, value]) => {
+    const field = container.querySelector(selector);
+    
+    // Don't overwrite what the user is typing
+    if (field && field !== document.activeElement) {
+      field.value = value;
+    }
+  });
+  
+  const favoritesOnly = container.querySelector(SELECTORS.favoritesOnly);
+  if (favoritesOnly) {
+    favoritesOnly.checked = Boolean(filters.favoritesOnly);
+  }
+  
+  const clearButton = container.querySelector(SELECTORS.clear);
+  if (clearButton) {
+    clearButton.disabled = !hasActiveFilters(filters);
+  }
+}
+
+/**
+ * Reflect a sort state in the controls
+ * @param {HTMLElement} container - Controls container
+ * @param {Object} sort - Active sort options
+ */
+export function syncSortControls(container, sort) {
+  if (!container) return;
+  
+  const sortBy = container.querySelector(SELECTORS.sortBy);
+  const sortDirection = container.querySelector(SELECTORS.sortDirection);
+  const isDescending = sort.direction === 'desc';
+  
+  if (sortBy) {
+    sortBy.value = sort.by;
+  }
+  
+  if (sortDirection) {
+    sortDirection.setAttribute('aria-pressed', String(isDescending));
+    sortDirection.textContent = isDescending ? t('filters.descending') : t('filters.ascending');
+  }
+}
+
+/**
+ * Update the live result count
+ * @param {HTMLElement} container - Controls container
+ * @param {number} count - Matching programs
+ * @param {number} total - All programs
+ */
+export function updateResultCount(container, count, total) {
+  const element = container && container.querySelector(SELECTORS.resultCount);
+  if (!element) return;
+  
+  element.textContent = getResultCountText(count, total);
+}
+
+/**
+ * Describe how many programs are shown
+ * @param {number} count - Programs shown
+ * @param {number} total - Programs loaded
+ * @returns {string} e.g. "Showing 3 of 15 programs"
+ */
+export function getResultCountText(count, total) {
+  return count === total
+    ? t('filters.showingAll', { count: total, total })
+    : t('filters.showingSome', { count, total });
+}
+
+/**
+ * Describe the active filters in a few words
+ * @param {Object} filters - Active filters
+ * @returns {string} e.g. "Cardio, Beginner, 30–45 min"
+ */
+export function describeFilters(filters) {
+  const { type, level, trainer, minDuration, maxDuration, query, favoritesOnly } = { ...DEFAULT_FILTERS, ...filters };
+  const parts = [type, level, trainer].filter(value => value !== 'all');
+  
+  if (minDuration !== null && maxDuration !== null) {
+    parts.push(t('filters.durationBetween', { min: minDuration, max: maxDuration }));
+  } else if (minDuration !== null) {
+    parts.push(t('filters.durationFrom', { min: minDuration }));
+  } else if (maxDuration !== null) {
+    parts.push(t('filters.durationUpTo', { max: maxDuration }));
+  }
+  
+  if (query && query.trim()) {
+    parts.push(t('filters.matching', { query: query.trim() }));
+  }
+  
+  if (favoritesOnly) {
+    parts.push(t('filters.favoritesOnly'));
+  }
+  
+  return parts.join(', ');
+}
+
+/**
+ * Check if any filter differs from the defaults
+ * @param {Object} filters - Active filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Object.keys(DEFAULT_FILTERS).some(key => {
+    if (key === 'query') {
+      return Boolean(filters.query && filters.query.trim());
+    }
+    
+    return filters[key] !== undefined && filters[key] !== DEFAULT_FILTERS[key];
+  });
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  DEFAULT_FILTERS,
+  DEFAULT_SORT,
+  render: renderFilterControls,
+  sync: syncFilterControls,
+  syncSort: syncSortControls,
+  updateResultCount,
+  getResultCountText,
+  describeFilters,
+  hasActiveFilters
+};
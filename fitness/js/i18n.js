@@ -0,0 +1,807 @@
+/**
+ * Internationalization Module
+ * Spanish/English message catalog and locale-aware formatting
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+export const SUPPORTED_LANGUAGES = ['es', 'en'];
+export const DEFAULT_LANGUAGE = 'es';
+
+export const LANGUAGE_NAMES = {
+  es: 'Español',
+  en: 'English'
+};
+
+// ========================================
+// MESSAGE CATALOG
+// ========================================
+
+/**
+ * Message bundles
+ * Plural messages are objects keyed by Intl.PluralRules category ("one", "other", ...).
+ * Placeholders use {name} syntax.
+ */
+const MESSAGES = {
+  es: {
+    language: {
+      label: 'Idioma'
+    },
+    theme: {
+      light: 'Claro',
+      dark: 'Oscuro',
+      system: 'Auto',
+      toggleLabel: 'Tema: {current}. Cambiar a {next}'
+    },
+    states: {
+      loading: 'Cargando programas...',
+      error: 'Lo sentimos, no pudimos cargar los programas.',
+      retry: 'Reintentar',
+      empty: 'No se encontraron programas con los filtros seleccionados.'
+    },
+    errors: {
+      timeout: 'El servidor tardó demasiado en responder.',
+      network: 'No pudimos conectar con el servidor. Revisa tu conexión a internet.',
+      http: 'El servidor respondió con un error ({status}).',
+      'content-type': 'El servidor no devolvió datos de clases en formato JSON.',
+      parse: 'Los datos de clases están dañados (JSON no válido).',
+      validation: 'Los datos de clases no contienen ninguna clase válida.',
+      unknown: 'Ocurrió un error inesperado.'
+    },
+    warnings: {
+      dropped: {
+        one: 'Se omitió {count} clase con datos no válidos',
+        other: 'Se omitieron {count} clases con datos no válidos'
+      },
+      record: 'Registro {position} ({name}): campos no válidos: {fields}',
+      recordUnnamed: 'Registro {position}: campos no válidos: {fields}'
+    },
+    card: {
+      booked: 'Reservado',
+      type: 'Tipo',
+      duration: 'Duración',
+      level: 'Nivel',
+      trainer: 'Entrenador',
+      details: 'Ver detalles',
+      detailsLabel: 'Ver detalles de {name}',
+      favoriteLabel: 'Marcar {name} como favorito'
+    },
+    modal: {
+      book: 'Reservar clase',
+      close: 'Cerrar'
+    },
+    trainers: {
+      loading: 'Cargando entrenadores...',
+      error: 'No pudimos cargar a nuestros entrenadores. Inténtalo de nuevo más tarde.',
+      profileLabel: 'Ver el perfil de {name}',
+      photoAlt: 'Foto de {name}',
+      specialties: 'Especialidades',
+      certifications: 'Certificaciones',
+      classes: 'Clases',
+      classCount: {
+        one: 'Imparte {count} clase',
+        other: 'Imparte {count} clases'
+      },
+      noClasses: 'No tiene clases en el horario actual.',
+      classesUnavailable: 'No pudimos cargar sus clases.',
+      viewAll: 'Ver las clases de {name} en Programas',
+      fullProfile: 'Ver perfil completo'
+    },
+    stats: {
+      loading: 'Calculando estadísticas...',
+      error: 'No pudimos cargar los datos de las clases. Inténtalo de nuevo más tarde.',
+      weeklyTitle: 'Horario semanal',
+      weeklyMinutes: 'Minutos por semana',
+      weeklySessions: 'Sesiones por semana',
+      programs: 'Programas',
+      byType: 'Clases por tipo',
+      byTrainer: 'Clases por entrenador',
+      byLevel: 'Clases por nivel',
+      showTable: 'Ver como tabla',
+      columnClasses: 'Clases',
+      columnShare: 'Porcentaje',
+      total: 'Total'
+    },
+    filters: {
+      searchLabel: 'Buscar programas',
+      searchPlaceholder: 'Buscar por nombre, tipo o entrenador...',
+      typeGroup: 'Tipo de programa',
+      allTypes: 'Todos',
+      level: 'Nivel',
+      allLevels: 'Todos los niveles',
+      trainer: 'Entrenador',
+      allTrainers: 'Todos los entrenadores',
+      duration: 'Duración (min)',
+      minDuration: 'Duración mínima en minutos',
+      maxDuration: 'Duración máxima en minutos',
+      favoritesOnly: 'Solo favoritos',
+      sortBy: 'Ordenar por',
+      ascending: 'Ascendente',
+      descending: 'Descendente',
+      clear: 'Limpiar todo',
+      showingAll: {
+        one: 'Mostrando {total} programa',
+        other: 'Mostrando los {total} programas'
+      },
+      showingSome: 'Mostrando {count} de {total} programas',
+      durationBetween: '{min}–{max} min',
+      durationFrom: 'desde {min} min',
+      durationUpTo: 'hasta {max} min',
+      matching: 'que contienen «{query}»',
+      announceFiltered: 'Filtros: {filters}. {results}.',
+      announceCleared: 'Filtros borrados. {results}.',
+      announceNone: 'Ningún programa coincide con los filtros: {filters}.',
+      keyboardHint: 'Usa las flechas para moverte entre programas, Inicio y Fin para ir al primero o al último, Intro para ver detalles, o escribe para saltar a un programa por su nombre.',
+      sort: {
+        default: 'Destacados',
+        name: 'Nombre',
+        duration: 'Duración',
+        level: 'Nivel',
+        trainer: 'Entrenador'
+      }
+    },
+    schedule: {
+      weekdays: {
+        Monday: 'Lunes',
+        Tuesday: 'Martes',
+        Wednesday: 'Miércoles',
+        Thursday: 'Jueves',
+        Friday: 'Viernes',
+        Saturday: 'Sábado',
+        Sunday: 'Domingo'
+      },
+      full: 'Completo',
+      spotsLeft: {
+        one: '{count} de {capacity} lugar libre',
+        other: '{count} de {capacity} lugares libres'
+      },
+      noClasses: 'Sin clases'
+    },
+    booking: {
+      title: 'Reservar {name}',
+      noSessions: 'No hay sesiones disponibles para este programa en los próximos días.',
+      close: 'Cerrar',
+      spotsLeft: {
+        one: '{count} lugar libre',
+        other: '{count} lugares libres'
+      },
+      session: 'Sesión',
+      name: 'Nombre',
+      email: 'Email',
+      program: 'Programa',
+      trainer: 'Entrenador',
+      continue: 'Continuar',
+      back: 'Volver',
+      confirm: 'Confirmar reserva',
+      saveFailed: 'No pudimos guardar tu reserva. Es posible que la sesión ya esté reservada.',
+      chooseAnother: 'Elegir otra sesión',
+      success: 'Tienes reservada la clase {name} el {date} a las {time}.',
+      done: 'Listo',
+      empty: 'Aún no tienes reservas.',
+      cancel: 'Cancelar',
+      cancelLabel: 'Cancelar la reserva de {name} del {date}'
+    },
+    recommendations: {
+      title: 'Recomendado para ti',
+      introPersonal: 'Según los programas que viste hace poco.',
+      introNew: '¿Eres nuevo? Estos programas son un buen punto de partida.',
+      why: 'Por qué te lo sugerimos',
+      reasons: {
+        type: 'Viste clases de {type} hace poco',
+        level: 'Nivel {level}, como otros programas que abriste',
+        trainer: 'Con {trainer}, como otros programas que abriste',
+        starter: 'Buena opción para empezar ({level})',
+        sessions: {
+          one: '{count} sesión por semana',
+          other: '{count} sesiones por semana'
+        },
+        explore: 'Algo distinto para probar'
+      },
+      view: 'Ver detalles',
+      viewLabel: 'Ver detalles de {name}',
+      dismiss: 'No me interesa',
+      dismissLabel: 'No volver a sugerir {name}',
+      dismissed: 'No volveremos a sugerir {name}.',
+      empty: 'No tenemos más sugerencias por ahora.',
+      restore: 'Mostrar sugerencias descartadas',
+      restored: 'Las sugerencias descartadas vuelven a aparecer.'
+    },
+    forms: {
+      nameRequired: 'Por favor ingresa tu nombre',
+      emailInvalid: 'Por favor ingresa un email válido',
+      fieldRequired: 'Este campo es requerido',
+      tooShort: 'Usa al menos {min} caracteres',
+      tooLong: 'Usa como máximo {max} caracteres',
+      patternMismatch: 'El formato no es válido',
+      mismatch: 'Debe coincidir con {field}',
+      summaryTitle: {
+        one: 'Hay {count} problema en el formulario:',
+        other: 'Hay {count} problemas en el formulario:'
+      },
+      draftRestored: 'Recuperamos el mensaje que no llegaste a enviar.',
+      discardDraft: 'Descartar borrador'
+    },
+    offline: {
+      cached: 'Mostrando programas guardados. Última actualización: {updated}.',
+      cachedOffline: 'Sin conexión. Mostrando programas guardados el {updated}.'
+    },
+    storage: {
+      sessionOnly: 'Tus preferencias, favoritos y reservas solo se guardarán hasta que cierres esta pestaña.',
+      memoryOnly: 'Tus preferencias, favoritos y reservas solo se guardarán hasta que salgas de esta página.',
+      dismissNotice: 'Cerrar aviso de almacenamiento',
+      resetConfirm: '¿Estás seguro de que quieres eliminar todos los datos? Esta acción no se puede deshacer.'
+    },
+    settings: {
+      fields: {
+        preferredTraining: 'Entrenamiento preferido',
+        userPreferences: 'Preferencias',
+        recentClasses: 'Tipos vistos recientemente',
+        recentPrograms: 'Programas vistos recientemente',
+        dismissedRecommendations: 'Sugerencias descartadas',
+        bookings: 'Reservas',
+        favorites: 'Favoritos',
+        formSubmissions: 'Historial del formulario de contacto'
+      },
+      nothingSaved: 'Nada guardado',
+      items: {
+        one: '{count} elemento',
+        other: '{count} elementos'
+      },
+      fileTooLarge: 'Este archivo es demasiado grande para ser una copia de Peak Performance (máx. 1 MB).',
+      invalidJson: 'Este archivo no es JSON válido. Puede estar dañado o no ser una copia de seguridad.',
+      nothingToImport: 'No se pudo importar nada de este archivo. {reasons}',
+      reviewTitle: 'Revisar importación',
+      willOverwrite: 'Se sobrescribirán los siguientes datos:',
+      columnData: 'Datos',
+      columnCurrent: 'Actual',
+      columnFile: 'Del archivo',
+      willSkip: 'Se omitirán estas entradas:',
+      cancel: 'Cancelar',
+      replace: 'Reemplazar mis datos',
+      restored: 'Tus datos fueron restaurados.',
+      skipped: {
+        one: 'Se omitió {count} entrada.',
+        other: 'Se omitieron {count} entradas.'
+      },
+      nothingImported: 'No se importó nada.',
+      rejected: {
+        expectedText: 'Se esperaba un texto',
+        expectedObject: 'Se esperaba un objeto',
+        expectedList: 'Se esperaba una lista',
+        unknownPreference: 'Preferencia desconocida',
+        invalidValue: 'Valor no válido',
+        invalidItem: 'Elemento no válido',
+        tooManyItems: 'Demasiados elementos ({count}, máx. {max})',
+        invalidVersion: 'Versión de esquema no válida',
+        newerVersion: 'Creado por una versión más reciente ({version}, compatible: {supported})',
+        notSaved: 'No se pudo guardar'
+      },
+      preferences: {
+        theme: 'Tema',
+        notifications: 'Notificaciones',
+        language: 'Idioma',
+        sort: 'Orden'
+      },
+      yes: 'Sí',
+      no: 'No'
+    },
+    messages: {
+      fields: {
+        name: 'Nombre',
+        email: 'Email',
+        training: 'Entrenamiento preferido',
+        message: 'Mensaje'
+      },
+      training: {
+        personal: 'Entrenamiento personal',
+        group: 'Clases grupales',
+        cardio: 'Cardio',
+        strength: 'Fuerza',
+        flexibility: 'Flexibilidad'
+      },
+      notProvided: '(no indicado)',
+      noData: 'No se recibieron datos del formulario.',
+      notSaved: 'No pudimos guardar una copia de este mensaje en tu navegador.',
+      empty: 'Aún no has enviado ningún mensaje desde este navegador.',
+      noMessage: '(sin mensaje)',
+      count: {
+        one: '{count} mensaje guardado. Se conservan los {max} más recientes.',
+        other: '{count} mensajes guardados. Se conservan los {max} más recientes.'
+      },
+      delete: 'Eliminar',
+      deleteLabel: 'Eliminar el mensaje del {date}',
+      deleted: 'Mensaje eliminado.',
+      clearConfirm: '¿Eliminar todos tus mensajes guardados? Esta acción no se puede deshacer.',
+      cleared: 'Se eliminaron todos los mensajes.'
+    }
+  },
+  
+  en: {
+    language: {
+      label: 'Language'
+    },
+    theme: {
+      light: 'Light',
+      dark: 'Dark',
+      system: 'Auto',
+      toggleLabel: 'Theme: {current}. Switch to {next}'
+    },
+    states: {
+      loading: 'Loading programs...',
+      error: 'Sorry, we couldn\'t load the programs.',
+      retry: 'Retry',
+      empty: 'No programs found with the selected filters.'
+    },
+    errors: {
+      timeout: 'The server took too long to respond.',
+      network: 'We couldn\'t reach the server. Check your internet connection.',
+      http: 'The server responded with an error ({status}).',
+      'content-type': 'The server didn\'t return class data as JSON.',
+      parse: 'The class data is corrupt (invalid JSON).',
+      validation: 'The class data doesn\'t contain any valid classes.',
+      unknown: 'An unexpected error occurred.'
+    },
+    warnings: {
+      dropped: {
+        one: '{count} class was skipped because its data is invalid',
+        other: '{count} classes were skipped because their data is invalid'
+      },
+      record: 'Record {position} ({name}): invalid {fields}',
+      recordUnnamed: 'Record {position}: invalid {fields}'
+    },
+    card: {
+      booked: 'Booked',
+      type: 'Type',
+      duration: 'Duration',
+      level: 'Level',
+      trainer: 'Trainer',
+      details: 'View Details',
+      detailsLabel: 'View details for {name}',
+      favoriteLabel: 'Favorite {name}'
+    },
+    modal: {
+      book: 'Book Class',
+      close: 'Close'
+    },
+    trainers: {
+      loading: 'Loading trainers...',
+      error: 'We couldn\'t load our trainers. Please try again later.',
+      profileLabel: 'View {name}\'s profile',
+      photoAlt: 'Photo of {name}',
+      specialties: 'Specialties',
+      certifications: 'Certifications',
+      classes: 'Classes',
+      classCount: {
+        one: 'Teaches {count} class',
+        other: 'Teaches {count} classes'
+      },
+      noClasses: 'No classes on the current schedule.',
+      classesUnavailable: 'We couldn\'t load their classes.',
+      viewAll: 'See {name}\'s classes in Programs',
+      fullProfile: 'View full profile'
+    },
+    stats: {
+      loading: 'Crunching the numbers...',
+      error: 'We couldn\'t load the class data. Please try again later.',
+      weeklyTitle: 'Weekly schedule',
+      weeklyMinutes: 'Minutes per week',
+      weeklySessions: 'Sessions per week',
+      programs: 'Programs',
+      byType: 'Classes by type',
+      byTrainer: 'Classes by trainer',
+      byLevel: 'Classes by level',
+      showTable: 'Show as table',
+      columnClasses: 'Classes',
+      columnShare: 'Share',
+      total: 'Total'
+    },
+    filters: {
+      searchLabel: 'Search programs',
+      searchPlaceholder: 'Search by name, type or trainer...',
+      typeGroup: 'Program type',
+      allTypes: 'All',
+      level: 'Level',
+      allLevels: 'All levels',
+      trainer: 'Trainer',
+      allTrainers: 'All trainers',
+      duration: 'Duration (min)',
+      minDuration: 'Minimum duration in minutes',
+      maxDuration: 'Maximum duration in minutes',
+      favoritesOnly: 'Favorites only',
+      sortBy: 'Sort by',
+      ascending: 'Ascending',
+      descending: 'Descending',
+      clear: 'Clear all',
+      showingAll: {
+        one: 'Showing {total} program',
+        other: 'Showing all {total} programs'
+      },
+      showingSome: 'Showing {count} of {total} programs',
+      durationBetween: '{min}–{max} min',
+      durationFrom: 'from {min} min',
+      durationUpTo: 'up to {max} min',
+      matching: 'matching "{query}"',
+      announceFiltered: 'Filters: {filters}. {results}.',
+      announceCleared: 'Filters cleared. {results}.',
+      announceNone: 'No programs match the filters: {filters}.',
+      keyboardHint: 'Use the arrow keys to move between programs, Home and End to jump to the first or last, Enter to view details, or type to jump to a program by name.',
+      sort: {
+        default: 'Featured',
+        name: 'Name',
+        duration: 'Duration',
+        level: 'Level',
+        trainer: 'Trainer'
+      }
+    },
+    schedule: {
+      weekdays: {
+        Monday: 'Monday',
+        Tuesday: 'Tuesday',
+        Wednesday: 'Wednesday',
+        Thursday: 'Thursday',
+        Friday: 'Friday',
+        Saturday: 'Saturday',
+        Sunday: 'Sunday'
+      },
+      full: 'Full',
+      spotsLeft: {
+        one: '{count} of {capacity} spot left',
+        other: '{count} of {capacity} spots left'
+      },
+      noClasses: 'No classes'
+    },
+    booking: {
+      title: 'Book {name}',
+      noSessions: 'There are no available sessions for this program in the next few days.',
+      close: 'Close',
+      spotsLeft: {
+        one: '{count} spot left',
+        other: '{count} spots left'
+      },
+      session: 'Session',
+      name: 'Name',
+      email: 'Email',
+      program: 'Program',
+      trainer: 'Trainer',
+      continue: 'Continue',
+      back: 'Back',
+      confirm: 'Confirm Booking',
+      saveFailed: 'We couldn\'t save your booking. The session may already be booked.',
+      chooseAnother: 'Choose another session',
+      success: 'You\'re booked for {name} on {date} at {time}.',
+      done: 'Done',
+      empty: 'You have no bookings yet.',
+      cancel: 'Cancel',
+      cancelLabel: 'Cancel booking for {name} on {date}'
+    },
+    recommendations: {
+      title: 'Recommended for You',
+      introPersonal: 'Based on the programs you viewed recently.',
+      introNew: 'New here? These programs are a good place to start.',
+      why: 'Why we suggest it',
+      reasons: {
+        type: 'You recently viewed {type} classes',
+        level: '{level} level, like other programs you opened',
+        trainer: 'With {trainer}, like other programs you opened',
+        starter: 'A good way to get started ({level})',
+        sessions: {
+          one: '{count} session a week',
+          other: '{count} sessions a week'
+        },
+        explore: 'Something different to try'
+      },
+      view: 'View details',
+      viewLabel: 'View details of {name}',
+      dismiss: 'Not interested',
+      dismissLabel: 'Don\'t suggest {name} again',
+      dismissed: 'We won\'t suggest {name} again.',
+      empty: 'No more suggestions for now.',
+      restore: 'Show dismissed suggestions',
+      restored: 'Dismissed suggestions are back.'
+    },
+    forms: {
+      nameRequired: 'Please enter your name',
+      emailInvalid: 'Please enter a valid email',
+      fieldRequired: 'This field is required',
+      tooShort: 'Use at least {min} characters',
+      tooLong: 'Use {max} characters or fewer',
+      patternMismatch: 'This format isn\'t valid',
+      mismatch: 'Must match {field}',
+      summaryTitle: {
+        one: 'There is {count} problem with the form:',
+        other: 'There are {count} problems with the form:'
+      },
+      draftRestored: 'We restored the message you hadn\'t sent yet.',
+      discardDraft: 'Discard draft'
+    },
+    offline: {
+      cached: 'Showing saved programs. Last updated {updated}.',
+      cachedOffline: 'You\'re offline. Showing programs saved {updated}.'
+    },
+    storage: {
+      sessionOnly: 'Your preferences, favorites and bookings will only be kept until you close this tab.',
+      memoryOnly: 'Your preferences, favorites and bookings will only be kept until you leave this page.',
+      dismissNotice: 'Dismiss storage notice',
+      resetConfirm: 'Are you sure you want to delete all data? This action cannot be undone.'
+    },
+    settings: {
+      fields: {
+        preferredTraining: 'Preferred training',
+        userPreferences: 'Preferences',
+        recentClasses: 'Recently viewed types',
+        recentPrograms: 'Recently viewed programs',
+        dismissedRecommendations: 'Dismissed suggestions',
+        bookings: 'Bookings',
+        favorites: 'Favorites',
+        formSubmissions: 'Contact form history'
+      },
+      nothingSaved: 'Nothing saved',
+      items: {
+        one: '{count} item',
+        other: '{count} items'
+      },
+      fileTooLarge: 'This file is too large to be a Peak Performance backup (max 1 MB).',
+      invalidJson: 'This file is not valid JSON. It may be corrupt or not a backup file.',
+      nothingToImport: 'Nothing could be imported from this file. {reasons}',
+      reviewTitle: 'Review import',
+      willOverwrite: 'The following data will be overwritten:',
+      columnData: 'Data',
+      columnCurrent: 'Current',
+      columnFile: 'From file',
+      willSkip: 'These entries will be skipped:',
+      cancel: 'Cancel',
+      replace: 'Replace my data',
+      restored: 'Your data was restored.',
+      skipped: {
+        one: '{count} entry was skipped.',
+        other: '{count} entries were skipped.'
+      },
+      nothingImported: 'Nothing was imported.',
+      rejected: {
+        expectedText: 'Expected text',
+        expectedObject: 'Expected an object',
+        expectedList: 'Expected a list',
+        unknownPreference: 'Unknown preference',
+        invalidValue: 'Invalid value',
+        invalidItem: 'Invalid item',
+        tooManyItems: 'Too many items ({count}, max {max})',
+        invalidVersion: 'Invalid schema version',
+        newerVersion: 'Created by a newer version ({version}, supported {supported})',
+        notSaved: 'Could not be saved'
+      },
+      preferences: {
+        theme: 'Theme',
+        notifications: 'Notifications',
+        language: 'Language',
+        sort: 'Sort order'
+      },
+      yes: 'Yes',
+      no: 'No'
+    },
+    messages: {
+      fields: {
+        name: 'Name',
+        email: 'Email',
+        training: 'Preferred Training',
+        message: 'Message'
+      },
+      training: {
+        personal: 'Personal Training',
+        group: 'Group Classes',
+        cardio: 'Cardio',
+        strength: 'Strength',
+        flexibility: 'Flexibility'
+      },
+      notProvided: '(not provided)',
+      noData: 'No form data received.',
+      notSaved: 'We couldn\'t keep a copy of this message in your browser.',
+      empty: 'You haven\'t sent any messages from this browser yet.',
+      noMessage: '(no message)',
+      count: {
+        one: '{count} message saved. The {max} most recent are kept.',
+        other: '{count} messages saved. The {max} most recent are kept.'
+      },
+      delete: 'Delete',
+      deleteLabel: 'Delete message from {date}',
+      deleted: 'Message deleted.',
+      clearConfirm: 'Delete all your saved messages? This action cannot be undone.',
+      cleared: 'All messages were deleted.'
+    }
+  }
+};
+
+// ========================================
+// STATE
+// ========================================
+
+let currentLanguage = DEFAULT_LANGUAGE;
+const listeners = new Set();
+
+// ========================================
+// LANGUAGE
+// ========================================
+
+/**
+ * Check if a language has a message bundle
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * Get the active language
+ * @returns {string} Language code
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Switch the active language and notify listeners
+ * Persisting the choice is up to the caller (see updateUserPreference).
+ * @param {string} language - Language code
+ * @returns {boolean} Whether the language changed
+ */
+export function setLanguage(language) {
+  if (!isSupportedLanguage(language)) {
+    console.warn(`Unsupported language: ${language}`);
+    return false;
+  }
+  
+  if (language === currentLanguage) {
+    return false;
+  }
+  
+  currentLanguage = language;
+  listeners.forEach(callback => callback(language));
+  return true;
+}
+
+/**
+ * Listen for language switches
+ * @param {Function} callback - Called with the new language code
+ * @returns {Function} Function that removes the listener
+ */
+export function onLanguageChange(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+// ========================================
+// TRANSLATION
+// ========================================
+
+/**
+ * Look up a dotted key in a bundle
+ * @param {Object} bundle - Message bundle
+ * @param {string} key - Dotted key, e.g. "card.type"
+ * @returns {string|Object|undefined}
+ */
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), bundle);
+}
+
+/**
+ * Translate a message key
+ * Falls back to the default language, then to the key itself.
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values; a numeric "count" selects the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = lookup(MESSAGES[currentLanguage], key);
+  
+  if (message === undefined) {
+    message = lookup(MESSAGES[DEFAULT_LANGUAGE], key);
+  }
+  
+  if (message && typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLanguage).select(Number(params.count));
+    message = message[category] ?? message.other;
+  }
+  
+  if (typeof message !== 'string') {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+  
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+
+/**
+ * Format a duration for the active locale
+ * @param {number|string} duration - Minutes, or a string like "45 min"
+ * @returns {string} e.g. "45 minutos" / "45 minutes"
+ */
+export function formatDuration(duration) {
+  const minutes = typeof duration === 'number' ? duration : parseInt(duration, 10);
+  
+  if (Number.isNaN(minutes)) {
+    return String(duration);
+  }
+  
+  return new Intl.NumberFormat(currentLanguage, {
+    style: 'unit',
+    unit: 'minute',
+    unitDisplay: 'long'
+  }).format(minutes);
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) for display in the active locale
+ * @param {string} isoDate - Date string
+ * @returns {string} e.g. "lun, 6 ene" / "Mon, Jan 6"
+ */
+export function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(currentLanguage, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Format a 24h time (HH:MM) for display in the active locale
+ * @param {string} time - Time string
+ * @returns {string} e.g. "18:00" / "6:00 PM"
+ */
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    return time;
+  }
+  
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(currentLanguage, {
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Format an ISO timestamp for display in the active locale
+ * @param {string} isoString - Timestamp
+ * @returns {string} e.g. "18 oct 2026, 9:30" / "Oct 18, 2026, 9:30 AM"
+ */
+export function formatDateTime(isoString) {
+  const date = new Date(isoString);
+  
+  if (Number.isNaN(date.getTime())) {
+    return isoString;
+  }
+  
+  return date.toLocaleString(currentLanguage, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  isSupported: isSupportedLanguage,
+  getLanguage,
+  setLanguage,
+  onLanguageChange,
+  t,
+  formatDuration,
+  formatDate,
+  formatTime,
+  formatDateTime
+};
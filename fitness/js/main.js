@@ -3,9 +3,63 @@
  * Handles navigation, program loading, filtering, and UI interactions
  */
 
-import { getClasses } from './fetch.js';
-import { openModal, closeModal, initializeModal } from './modal.js';
-import { savePreference, getPreference } from './storage.js';
+import {
+  getClasses,
+  getDataSource,
+  getDroppedClasses,
+  filterClasses,
+  sortClasses,
+  SORT_FIELDS
+} from './fetch.js';
+import { openModal, closeAllModals, initializeModal, isModalOpen } from './modal.js';
+import {
+  savePreference,
+  getPreference,
+  addRecentProgram,
+  isProgramBooked,
+  isFavorite,
+  toggleFavorite,
+  getFavorites,
+  getUserPreferences,
+  updateUserPreference,
+  saveProgramFilters,
+  getProgramFilters,
+  getStorageInfo,
+  onStorageChange
+} from './storage.js';
+import { startBooking, renderBookings } from './booking.js';
+import { renderTimetable } from './schedule.js';
+import {
+  DEFAULT_FILTERS,
+  DEFAULT_SORT,
+  renderFilterControls,
+  syncFilterControls,
+  syncSortControls,
+  updateResultCount,
+  getResultCountText,
+  describeFilters,
+  hasActiveFilters
+} from './filters.js';
+import { readUrlState, hasUrlState, writeUrlState, onUrlStateChange, TYPED_FILTERS } from './url-state.js';
+import { initializeSettings } from './settings.js';
+import { initializeTrainers, buildTrainerLink, openTrainerProfile } from './trainers.js';
+import { initializeStats } from './stats.js';
+import { initializeRecommendations, updateRecommendations } from './recommendations.js';
+import { initializeFormAction, initializeMessages } from './messages.js';
+import { initializeValidation } from './validation.js';
+import { initializeRovingFocus, syncRovingFocus } from './roving-focus.js';
+import { initializeTheme } from './theme.js';
+import { registerServiceWorker, onClassesUpdated, renderDataStatus } from './offline.js';
+import {
+  t,
+  formatDuration,
+  getLanguage,
+  setLanguage,
+  onLanguageChange,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES
+} from './i18n.js';
+import { escapeHtml } from './utils.js';
 
 // ========================================
 // CONSTANTS
@@ -15,16 +69,40 @@ const SELECTORS = {
   menuToggle: '#menu-toggle',
   navLinks: '#nav-links',
   programsContainer: '#programs',
+  programCards: '#programs .card',
+  programsStatus: '#programs-status',
+  keyboardHint: '#programs-keyboard-hint',
   loadingIndicator: '#loading',
   errorMessage: '#error',
   emptyState: '#empty',
-  filterButtons: '.filter-btn',
+  filterControls: '#filter-controls',
+  favoriteButtons: '.favorite-btn',
+  trainerLink: '.trainer-link',
+  myBookings: '#my-bookings',
+  timetable: '#timetable',
+  dataStatus: '#data-status',
+  dataWarnings: '#data-warnings',
+  errorReason: '#error-reason',
+  retryButton: '#retry-load',
+  headerContent: '.header-content',
+  languageSelect: '#language-select',
   scrollToTop: '#scroll-to-top'
 };
 
+// Catalog keys for the status messages in the programs page markup
+const STATE_MESSAGES = {
+  '#loading p': 'states.loading',
+  '#error .error-title': 'states.error',
+  '#retry-load': 'states.retry',
+  '#empty p': 'states.empty',
+  '#programs-keyboard-hint': 'filters.keyboardHint'
+};
+
 const CLASSES = {
   active: 'active',
-  hidden: 'hidden'
+  hidden: 'hidden',
+  booked: 'is-booked',
+  favorite: 'is-favorite'
 };
 
 // ========================================
@@ -32,7 +110,11 @@ const CLASSES = {
 // ========================================
 
 let allClasses = [];
-let currentFilter = 'all';
+let currentFilters = { ...DEFAULT_FILTERS };
+let currentSort = { ...DEFAULT_SORT };
+let openProgramName = null;
+let isRestoringUrl = false;
+let loadError = null;
 
 // ========================================
 // MOBILE NAVIGATION
@@ -73,6 +155,93 @@ function initializeMobileNav() {
   });
 }
 
+// ========================================
+// LANGUAGE
+// ========================================
+
+/**
+ * Add the language switcher to the header
+ */
+function renderLanguageSwitcher() {
+  const headerContent = document.querySelector(SELECTORS.headerContent);
+  if (!headerContent || headerContent.querySelector(SELECTORS.languageSelect)) return;
+  
+  const switcher = document.createElement('div');
+  switcher.className = 'language-switcher';
+  switcher.innerHTML = `
+    <label for="language-select" class="sr-only">${t('language.label')}</label>
+    <select id="language-select" class="language-select">
+      ${SUPPORTED_LANGUAGES.map(language => `
+        <option value="${language}" lang="${language}">${LANGUAGE_NAMES[language]}</option>
+      `).join('')}
+    </select>
+  `;
+  
+  const select = switcher.querySelector('select');
+  select.value = getLanguage();
+  select.addEventListener('change', () => {
+    updateUserPreference('language', select.value);
+    setLanguage(select.value);
+  });
+  
+  headerContent.insertBefore(switcher, headerContent.querySelector('nav'));
+}
+
+/**
+ * Translate the static status messages of the programs page
+ */
+function translateStateMessages() {
+  Object.entries(STATE_MESSAGES).forEach(([selector, key]) => {
+    const element = document.querySelector(selector);
+    if (element) element.textContent = t(key);
+  });
+}
+
+/**
+ * Re-render JS generated content in the new language
+ */
+function handleLanguageChange() {
+  const select = document.querySelector(SELECTORS.languageSelect);
+  if (select) {
+    select.value = getLanguage();
+    select.previousElementSibling.textContent = t('language.label');
+  }
+  
+  translateStateMessages();
+  renderErrorReason();
+  renderDataWarnings();
+  updateDataStatus();
+  
+  if (allClasses.length > 0) {
+    initializeFilters();
+    applyFilters();
+    renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+  }
+  
+  if (document.querySelector(SELECTORS.myBookings)) {
+    renderMyBookings();
+  }
+}
+
+/**
+ * Apply the saved language and wire the switcher
+ * Must run before anything renders translated text.
+ */
+function initializeLanguage() {
+  setLanguage(getUserPreferences().language);
+  renderLanguageSwitcher();
+  translateStateMessages();
+  
+  onLanguageChange(handleLanguageChange);
+  
+  // Pick up a language switch made in another tab
+  onStorageChange(({ field }) => {
+    if (field === 'userPreferences' || field === null) {
+      setLanguage(getUserPreferences().language);
+    }
+  });
+}
+
 // ========================================
 // PROGRAMS FUNCTIONALITY
 // ========================================
@@ -85,6 +254,8 @@ function showLoading() {
   const error = document.querySelector(SELECTORS.errorMessage);
   const empty = document.querySelector(SELECTORS.emptyState);
   
+  loadError = null;
+  
   if (loading) loading.hidden = false;
   if (error) error.hidden = true;
   if (empty) empty.hidden = true;
@@ -100,16 +271,62 @@ function hideLoading() {
 
 /**
  * Show error state
+ * @param {Error} [cause] - Why loading failed (a DataLoadError from fetch.js when known)
  */
-function showError() {
+function showError(cause = null) {
   const error = document.querySelector(SELECTORS.errorMessage);
   const empty = document.querySelector(SELECTORS.emptyState);
   
+  loadError = cause;
+  renderErrorReason();
+  
   hideLoading();
   if (error) error.hidden = false;
   if (empty) empty.hidden = true;
 }
 
+/**
+ * Explain the current load error in the error state
+ */
+function renderErrorReason() {
+  const reason = document.querySelector(SELECTORS.errorReason);
+  if (!reason) return;
+  
+  // Errors without a code (e.g. a rendering bug) fall back to a generic message
+  const code = loadError && loadError.code ? loadError.code : 'unknown';
+  
+  reason.textContent = loadError ? t(`errors.${code}`, { status: loadError.status }) : '';
+  reason.hidden = !loadError;
+}
+
+/**
+ * List class records that were dropped because of invalid data
+ */
+function renderDataWarnings() {
+  const warnings = document.querySelector(SELECTORS.dataWarnings);
+  if (!warnings) return;
+  
+  const dropped = allClasses.length > 0 ? getDroppedClasses() : [];
+  
+  if (dropped.length === 0) {
+    warnings.hidden = true;
+    warnings.innerHTML = '';
+    return;
+  }
+  
+  const items = dropped.map(({ index, name, fields }) => {
+    const key = name ? 'warnings.record' : 'warnings.recordUnnamed';
+    const text = t(key, { position: index + 1, name, fields: fields.join(', ') });
+    return `<li>${escapeHtml(text)}</li>`;
+  }).join('');
+  
+  warnings.innerHTML = `
+    <summary>${t('warnings.dropped', { count: dropped.length })}</summary>
+    <ul>${items}</ul>
+  `;
+  warnings.hidden = false;
+}
+
 /**
  * Show empty state
  */
@@ -122,6 +339,15 @@ function showEmpty() {
   if (error) error.hidden = true;
 }
 
+/**
+ * Get the element id of a program card
+ * @param {Object} program - Program data
+ * @returns {string} e.g. "program-hiit-blast"
+ */
+function getCardId(program) {
+  return `program-${program.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
 /**
  * Create a program card element
  * @param {Object} program - Program data
@@ -132,40 +358,173 @@ function createProgramCard(program) {
   card.classList.add('card');
   card.setAttribute('role', 'listitem');
   card.dataset.type = program.type;
+  card.dataset.program = program.name;
+  card.setAttribute('aria-labelledby', `${getCardId(program)}-title`);
+  
+  const booked = isProgramBooked(program.name);
+  card.classList.toggle(CLASSES.booked, booked);
   
   // Create card content
   card.innerHTML = `
-    <h3>${escapeHtml(program.name)}</h3>
-    <p><strong>Tipo:</strong> ${escapeHtml(program.type)}</p>
-    <p><strong>Duración:</strong> ${escapeHtml(program.duration)}</p>
-    <p><strong>Nivel:</strong> ${escapeHtml(program.level)}</p>
-    <p><strong>Entrenador:</strong> ${escapeHtml(program.trainer)}</p>
-    <button type="button" aria-label="Ver detalles de ${escapeHtml(program.name)}">
-      Ver Detalles
+    ${booked ? `<span class="card-badge">${t('card.booked')}</span>` : ''}
+    ${buildFavoriteButton(program)}
+    <h3 id="${getCardId(program)}-title">${escapeHtml(program.name)}</h3>
+    ${buildProgramFacts(program)}
+    <button type="button" class="card-action" aria-label="${escapeHtml(t('card.detailsLabel', { name: program.name }))}">
+      ${t('card.details')}
     </button>
   `;
   
   // Add click event to button
-  const button = card.querySelector('button');
+  const button = card.querySelector('.card-action');
   button.addEventListener('click', () => handleProgramClick(program));
   
+  bindFavoriteButton(card.querySelector(SELECTORS.favoriteButtons), program);
+  
   return card;
 }
 
+/**
+ * Build the type/duration/level/trainer lines for a program
+ * The trainer links to their profile on the about page.
+ * @param {Object} program - Program data
+ * @param {Array} [fields] - Fields to include, in display order
+ * @returns {string} HTML string
+ */
+function buildProgramFacts(program, fields = ['type', 'duration', 'level', 'trainer']) {
+  const formatters = {
+    duration: value => escapeHtml(formatDuration(value)),
+    trainer: value => buildTrainerLink(value)
+  };
+  
+  return fields.map(field => {
+    const format = formatters[field] || escapeHtml;
+    return `<p><strong>${t(`card.${field}`)}:</strong> ${format(program[field])}</p>`;
+  }).join('');
+}
+
+/**
+ * Build the favorite toggle markup for a program
+ * @param {Object} program - Program data
+ * @returns {string} HTML string
+ */
+function buildFavoriteButton(program) {
+  const favorite = isFavorite(program.name);
+  
+  return `
+    <button type="button" class="favorite-btn${favorite ? ` ${CLASSES.favorite}` : ''}"
+      data-program="${escapeHtml(program.name)}"
+      aria-pressed="${favorite}"
+      aria-label="${escapeHtml(t('card.favoriteLabel', { name: program.name }))}">
+      <span aria-hidden="true">${favorite ? '♥' : '♡'}</span>
+    </button>
+  `;
+}
+
+/**
+ * Wire a favorite toggle button
+ * @param {HTMLButtonElement} button - Favorite button
+ * @param {Object} program - Program data
+ */
+function bindFavoriteButton(button, program) {
+  if (!button) return;
+  
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleFavorite(program.name);
+    
+    // Cards drop out of the favorites-only view, so re-render it
+    if (currentFilters.favoritesOnly) {
+      applyFilters();
+    }
+    
+    updateFavoriteButtons(program.name);
+  });
+}
+
+/**
+ * Sync every favorite toggle for a program with storage
+ * @param {string} programName - Program name
+ */
+function updateFavoriteButtons(programName) {
+  const favorite = isFavorite(programName);
+  
+  document.querySelectorAll(SELECTORS.favoriteButtons).forEach(button => {
+    if (button.dataset.program !== programName) return;
+    
+    button.classList.toggle(CLASSES.favorite, favorite);
+    button.setAttribute('aria-pressed', String(favorite));
+    button.querySelector('span').textContent = favorite ? '♥' : '♡';
+  });
+}
+
+/**
+ * Open a trainer's profile on top of the program details instead of leaving the page
+ * Falls back to the about page when the profile can't be shown here.
+ * @param {HTMLAnchorElement} link - Trainer link
+ * @param {string} trainer - Trainer name
+ */
+function bindTrainerLink(link, trainer) {
+  if (!link) return;
+  
+  link.addEventListener('click', async (e) => {
+    e.preventDefault();
+    
+    const opened = await openTrainerProfile(trainer).catch(() => false);
+    if (!opened) {
+      window.location.href = link.href;
+    }
+  });
+}
+
 /**
  * Handle program card click
  * @param {Object} program - Program data
  */
 function handleProgramClick(program) {
-  const modalContent = `
-    <p><strong>Entrenador:</strong> ${escapeHtml(program.trainer)}</p>
-    <p><strong>Tipo:</strong> ${escapeHtml(program.type)}</p>
-    <p><strong>Duración:</strong> ${escapeHtml(program.duration)}</p>
-    <p><strong>Nivel:</strong> ${escapeHtml(program.level)}</p>
+  const details = document.createElement('div');
+  details.innerHTML = `
+    ${buildFavoriteButton(program)}
+    ${buildProgramFacts(program, ['trainer', 'type', 'duration', 'level'])}
   `;
   
-  openModal(program.name, modalContent);
+  bindFavoriteButton(details.querySelector(SELECTORS.favoriteButtons), program);
+  bindTrainerLink(details.querySelector(SELECTORS.trainerLink), program.trainer);
+  
+  openModal(program.name, details, {
+    ctaLabel: t('modal.book'),
+    onCta: () => startBooking(program, { onBooked: refreshBookings }),
+    onClose: () => {
+      openProgramName = null;
+      syncUrl();
+    }
+  });
   savePreference(program.type);
+  addRecentProgram(program.name);
+  
+  openProgramName = program.name;
+  syncUrl();
+}
+
+/**
+ * Render the "My bookings" list
+ */
+function renderMyBookings() {
+  renderBookings(document.querySelector(SELECTORS.myBookings), {
+    onChange: () => {
+      applyFilters();
+      renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+    }
+  });
+}
+
+/**
+ * Re-render booking dependent UI (card badges, timetable and "My bookings" list)
+ */
+function refreshBookings() {
+  applyFilters();
+  renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+  renderMyBookings();
 }
 
 /**
@@ -177,6 +536,9 @@ function renderPrograms(programs) {
   
   if (!container) return;
   
+  // Keep keyboard users on the grid when their card is re-rendered
+  const hadFocus = container.contains(document.activeElement);
+  
   // Clear existing content
   container.innerHTML = '';
   
@@ -188,6 +550,9 @@ function renderPrograms(programs) {
   
   hideLoading();
   
+  const empty = document.querySelector(SELECTORS.emptyState);
+  if (empty) empty.hidden = true;
+  
   // Create and append program cards
   const fragment = document.createDocumentFragment();
   programs.forEach(program => {
@@ -196,6 +561,123 @@ function renderPrograms(programs) {
   });
   
   container.appendChild(fragment);
+  syncRovingFocus(container, { focus: hadFocus });
+}
+
+/**
+ * Apply the current filters and sort order and update results
+ */
+function applyFilters() {
+  let filtered = filterClasses(allClasses, currentFilters);
+  
+  if (currentFilters.favoritesOnly) {
+    const favorites = getFavorites();
+    filtered = filtered.filter(program => favorites.includes(program.name));
+  }
+  
+  filtered = sortClasses(filtered, currentSort);
+  const controls = document.querySelector(SELECTORS.filterControls);
+  
+  renderPrograms(filtered);
+  syncFilterControls(controls, currentFilters);
+  syncSortControls(controls, currentSort);
+  updateResultCount(controls, filtered.length, allClasses.length);
+}
+
+/**
+ * Tell screen reader users what a filter change did to the results
+ * @param {boolean} [cleared] - All filters were just cleared
+ */
+function announceResults(cleared = false) {
+  const status = document.querySelector(SELECTORS.programsStatus);
+  if (!status) return;
+  
+  const count = document.querySelectorAll(SELECTORS.programCards).length;
+  const results = getResultCountText(count, allClasses.length);
+  const filters = describeFilters(currentFilters);
+  
+  if (count === 0) {
+    status.textContent = t('filters.announceNone', { filters });
+  } else if (cleared || !hasActiveFilters(currentFilters)) {
+    status.textContent = t('filters.announceCleared', { results });
+  } else {
+    status.textContent = t('filters.announceFiltered', { filters, results });
+  }
+}
+
+/**
+ * Update one or more filter facets
+ * @param {Object} changes - Changed filter values
+ */
+function updateFilters(changes) {
+  currentFilters = { ...currentFilters, ...changes };
+  saveProgramFilters(currentFilters);
+  applyFilters();
+  announceResults();
+  syncUrl({ replace: Object.keys(changes).every(key => TYPED_FILTERS.includes(key)) });
+}
+
+/**
+ * Reset all filters to their defaults
+ */
+function clearFilters() {
+  currentFilters = { ...DEFAULT_FILTERS };
+  saveProgramFilters(currentFilters);
+  applyFilters();
+  announceResults(true);
+  syncUrl();
+}
+
+/**
+ * Update the sort order and remember it between visits
+ * @param {Object} changes - Changed sort options
+ */
+function updateSort(changes) {
+  currentSort = { ...currentSort, ...changes };
+  updateUserPreference('sort', currentSort);
+  applyFilters();
+  syncUrl();
+}
+
+/**
+ * Get the sort order saved in user preferences
+ * @returns {Object} Sort options
+ */
+function getSavedSort() {
+  const { sort } = getUserPreferences();
+  
+  if (sort && SORT_FIELDS.includes(sort.by) && ['asc', 'desc'].includes(sort.direction)) {
+    return { by: sort.by, direction: sort.direction };
+  }
+  
+  return { ...DEFAULT_SORT };
+}
+
+/**
+ * Get the filters saved by the last visit (or another tab)
+ * Visitors who never filtered start from their preferred training type.
+ * @returns {Object} Filter state
+ */
+function getSavedFilters() {
+  const saved = getProgramFilters();
+  
+  if (!saved) {
+    const savedPreference = getPreference();
+    return savedPreference && allClasses.some(program => program.type === savedPreference)
+      ? { ...DEFAULT_FILTERS, type: savedPreference }
+      : { ...DEFAULT_FILTERS };
+  }
+  
+  // Keep only known facets with the expected type (durations are numbers or null)
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(DEFAULT_FILTERS).forEach(([key, fallback]) => {
+    const expected = fallback === null ? 'number' : typeof fallback;
+    if (typeof saved[key] === expected) {
+      filters[key] = saved[key];
+    }
+  });
+  
+  return filters;
 }
 
 /**
@@ -203,31 +685,77 @@ function renderPrograms(programs) {
  * @param {string} type - Program type to filter by
  */
 function filterPrograms(type) {
-  currentFilter = type;
+  updateFilters({ type });
+}
+
+/**
+ * Initialize filter controls from the loaded classes
+ */
+function initializeFilters() {
+  renderFilterControls(document.querySelector(SELECTORS.filterControls), allClasses, {
+    onChange: updateFilters,
+    onClear: clearFilters,
+    onSortChange: updateSort
+  });
+}
+
+// ========================================
+// URL STATE
+// ========================================
+
+/**
+ * Push the current view to the URL
+ * @param {Object} [options] - Options passed to writeUrlState
+ */
+function syncUrl(options) {
+  if (isRestoringUrl) return;
+  
+  writeUrlState({ filters: currentFilters, sort: currentSort, open: openProgramName }, options);
+}
+
+/**
+ * Restore the view from URL state
+ * @param {Object} state - State read from the URL
+ */
+function restoreUrlState(state) {
+  // Back/forward before programs loaded (or after a failed load); loadPrograms reads the URL itself
+  if (allClasses.length === 0) return;
+  
+  isRestoringUrl = true;
+  
+  currentFilters = { ...DEFAULT_FILTERS, ...state.filters };
+  currentSort = state.sort || getSavedSort();
+  applyFilters();
+  
+  const program = state.open
+    ? allClasses.find(item => item.name === state.open)
+    : null;
+  
+  if (program && (!isModalOpen() || openProgramName !== program.name)) {
+    // Another program (and anything stacked on it) makes way for this one
+    closeAllModals();
+    handleProgramClick(program);
+  } else if (!program && isModalOpen()) {
+    closeAllModals();
+  }
   
-  const filtered = type === 'all' 
-    ? allClasses 
-    : allClasses.filter(program => program.type === type);
+  isRestoringUrl = false;
   
-  renderPrograms(filtered);
+  // Normalize the URL (e.g. drop an unknown program name)
+  syncUrl({ replace: true });
 }
 
 /**
- * Initialize filter buttons
+ * Add the arrow key / type-ahead keyboard model to the programs grid
  */
-function initializeFilters() {
-  const filterButtons = document.querySelectorAll(SELECTORS.filterButtons);
-  
-  filterButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      // Update active state
-      filterButtons.forEach(btn => btn.classList.remove(CLASSES.active));
-      button.classList.add(CLASSES.active);
-      
-      // Filter programs
-      const filterType = button.dataset.filter;
-      filterPrograms(filterType);
-    });
+function initializeProgramGrid() {
+  initializeRovingFocus(document.querySelector(SELECTORS.programsContainer), {
+    itemSelector: '.card',
+    getLabel: card => card.dataset.program,
+    onActivate: (card) => {
+      const program = allClasses.find(item => item.name === card.dataset.program);
+      if (program) handleProgramClick(program);
+    }
   });
 }
 
@@ -244,163 +772,160 @@ async function loadPrograms() {
   try {
     allClasses = await getClasses();
     
-    if (!allClasses || allClasses.length === 0) {
-      showError();
-      return;
-    }
-    
-    renderPrograms(allClasses);
+    initializeFilters();
+    renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+    renderDataWarnings();
+    updateDataStatus();
+    updateRecommendations(allClasses);
     
-    // Apply saved preference filter if exists
-    const savedPreference = getPreference();
-    if (savedPreference) {
-      const filterButton = document.querySelector(`[data-filter="${savedPreference}"]`);
-      if (filterButton) {
-        filterButton.click();
-      }
+    // A shared link wins over the saved filters
+    if (hasUrlState()) {
+      restoreUrlState(readUrlState());
+    } else {
+      currentSort = getSavedSort();
+      currentFilters = getSavedFilters();
+      applyFilters();
     }
   } catch (error) {
     console.error('Error loading programs:', error);
-    showError();
+    showError(error);
   }
 }
 
 // ========================================
-// SCROLL TO TOP
+// OFFLINE DATA
 // ========================================
 
-function initializeScrollToTop() {
-  const scrollButton = document.querySelector(SELECTORS.scrollToTop);
-  
-  if (!scrollButton) return;
-  
-  // Show/hide button based on scroll position
-  window.addEventListener('scroll', () => {
-    if (window.scrollY > 300) {
-      scrollButton.hidden = false;
-    } else {
-      scrollButton.hidden = true;
-    }
-  });
+/**
+ * Show whether the programs on screen come from the offline cache
+ */
+function updateDataStatus() {
+  renderDataStatus(document.querySelector(SELECTORS.dataStatus), getDataSource());
+}
+
+/**
+ * Re-render programs after the service worker cached newer class data
+ */
+async function refreshClasses() {
+  try {
+    allClasses = await getClasses();
+  } catch (error) {
+    // Keep what's on screen if the refresh failed
+    return;
+  }
   
-  // Scroll to top on click
-  scrollButton.addEventListener('click', () => {
-    window.scrollTo({
-      top: 0,
-      behavior: 'smooth'
-    });
-  });
+  initializeFilters();
+  applyFilters();
+  renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+  renderDataWarnings();
+  updateDataStatus();
+  updateRecommendations(allClasses);
 }
 
 // ========================================
-// FORM VALIDATION
+// CROSS-TAB SYNC
 // ========================================
 
-function initializeFormValidation() {
-  const form = document.querySelector('.contact-form');
+/**
+ * Bring the programs page up to date after another tab changed stored data
+ * @param {Object} change - Change details from onStorageChange
+ * @param {string|null} change.field - Changed field (null when storage was cleared)
+ */
+function handleStorageChange({ field }) {
+  const everything = field === null;
   
-  if (!form) return;
+  if (everything || field === 'bookings') {
+    renderMyBookings();
+    renderTimetable(document.querySelector(SELECTORS.timetable), allClasses);
+  }
   
-  form.addEventListener('submit', (e) => {
-    const nameInput = form.querySelector('#name');
-    const emailInput = form.querySelector('#email');
-    
-    let isValid = true;
-    
-    // Validate name
-    if (nameInput && !nameInput.value.trim()) {
-      e.preventDefault();
-      showFormError(nameInput, 'Por favor ingresa tu nombre');
-      isValid = false;
-    } else if (nameInput) {
-      clearFormError(nameInput);
-    }
-    
-    // Validate email
-    if (emailInput && !isValidEmail(emailInput.value)) {
-      e.preventDefault();
-      showFormError(emailInput, 'Por favor ingresa un email válido');
-      isValid = false;
-    } else if (emailInput) {
-      clearFormError(emailInput);
-    }
-  });
+  // Nothing else to refresh until programs have loaded
+  if (allClasses.length === 0) return;
   
-  // Real-time validation
-  const inputs = form.querySelectorAll('input[required], textarea[required]');
-  inputs.forEach(input => {
-    input.addEventListener('blur', () => {
-      if (!input.value.trim()) {
-        showFormError(input, 'Este campo es requerido');
-      } else {
-        clearFormError(input);
-      }
-    });
-    
-    input.addEventListener('input', () => {
-      if (input.value.trim()) {
-        clearFormError(input);
-      }
-    });
-  });
-}
-
-/**
- * Show form error message
- */
-function showFormError(input, message) {
-  const errorId = `${input.id}-error`;
-  let errorElement = document.getElementById(errorId);
+  // The preferred training only applies while no filters were saved
+  if (everything || field === 'programFilters' || field === 'preferredTraining') {
+    currentFilters = getSavedFilters();
+  }
   
-  if (!errorElement) {
-    errorElement = document.createElement('span');
-    errorElement.id = errorId;
-    errorElement.className = 'form-error';
-    errorElement.setAttribute('role', 'alert');
-    input.parentElement.appendChild(errorElement);
+  if (everything || field === 'userPreferences') {
+    currentSort = getSavedSort();
   }
   
-  errorElement.textContent = message;
-  input.setAttribute('aria-invalid', 'true');
-  input.setAttribute('aria-describedby', errorId);
-}
-
-/**
- * Clear form error message
- */
-function clearFormError(input) {
-  const errorId = `${input.id}-error`;
-  const errorElement = document.getElementById(errorId);
+  // Re-rendering refreshes favorite and booked indicators on the cards
+  applyFilters();
   
-  if (errorElement) {
-    errorElement.textContent = '';
+  if (openProgramName) {
+    updateFavoriteButtons(openProgramName);
   }
   
-  input.removeAttribute('aria-invalid');
-  input.removeAttribute('aria-describedby');
+  syncUrl({ replace: true });
 }
 
+// ========================================
+// STORAGE NOTICE
+// ========================================
+
 /**
- * Validate email format
+ * Tell the user when their data won't persist (private mode, blocked storage)
  */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+function initializeStorageNotice() {
+  const info = getStorageInfo();
+  const main = document.querySelector('main');
+  
+  if (info.persistent || !main) return;
+  
+  const messageKey = info.backend === 'sessionStorage' ? 'storage.sessionOnly' : 'storage.memoryOnly';
+  
+  const notice = document.createElement('div');
+  notice.className = 'storage-notice';
+  notice.setAttribute('role', 'status');
+  notice.innerHTML = `
+    <div class="container storage-notice-content">
+      <p></p>
+      <button type="button" class="storage-notice-close">✕</button>
+    </div>
+  `;
+  
+  const translateNotice = () => {
+    notice.querySelector('p').textContent = t(messageKey);
+    notice.querySelector('button').setAttribute('aria-label', t('storage.dismissNotice'));
+  };
+  
+  translateNotice();
+  const stopTranslating = onLanguageChange(translateNotice);
+  
+  notice.querySelector('button').addEventListener('click', () => {
+    stopTranslating();
+    notice.remove();
+  });
+  main.prepend(notice);
 }
 
 // ========================================
-// UTILITY FUNCTIONS
+// SCROLL TO TOP
 // ========================================
 
-/**
- * Escape HTML to prevent XSS
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+function initializeScrollToTop() {
+  const scrollButton = document.querySelector(SELECTORS.scrollToTop);
+  
+  if (!scrollButton) return;
+  
+  // Show/hide button based on scroll position
+  window.addEventListener('scroll', () => {
+    if (window.scrollY > 300) {
+      scrollButton.hidden = false;
+    } else {
+      scrollButton.hidden = true;
+    }
+  });
+  
+  // Scroll to top on click
+  scrollButton.addEventListener('click', () => {
+    window.scrollTo({
+      top: 0,
+      behavior: 'smooth'
+    });
+  });
 }
 
 // ========================================
@@ -412,16 +937,43 @@ function escapeHtml(str) {
  */
 function init() {
   // Core functionality
+  initializeLanguage();
+  initializeTheme();
   initializeMobileNav();
   initializeModal();
   initializeScrollToTop();
-  initializeFormValidation();
+  initializeValidation();
+  initializeSettings();
+  initializeTrainers();
+  initializeStats();
+  initializeFormAction();
+  initializeMessages();
+  initializeStorageNotice();
   
   // Programs page specific
   if (document.querySelector(SELECTORS.programsContainer)) {
+    // Suggestions use the classes loaded below and open in the modal
+    initializeRecommendations({ onSelect: handleProgramClick, loadClasses: false });
+    initializeProgramGrid();
     loadPrograms();
-    initializeFilters();
+    renderMyBookings();
+    onUrlStateChange(restoreUrlState);
+    onStorageChange(handleStorageChange);
+    
+    const retryButton = document.querySelector(SELECTORS.retryButton);
+    if (retryButton) {
+      retryButton.addEventListener('click', loadPrograms);
+    }
+    
+    onClassesUpdated(refreshClasses);
+    window.addEventListener('online', updateDataStatus);
+    window.addEventListener('offline', updateDataStatus);
+  } else {
+    initializeRecommendations();
   }
+  
+  // Offline support
+  registerServiceWorker();
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,257 @@
+/**
+ * Messages Module
+ * Records contact form submissions on form-action.html and lists them on the
+ * "My messages" page
+ */
+
+import {
+  addFormSubmission,
+  getFormSubmission,
+  getFormSubmissions,
+  deleteFormSubmission,
+  clearFormSubmissions,
+  onStorageChange,
+  MAX_FORM_SUBMISSIONS
+} from './storage.js';
+import { t, formatDateTime, onLanguageChange } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  formData: '#form-data',
+  saveStatus: '#form-save-status',
+  messages: '#my-messages',
+  summary: '#messages-summary',
+  status: '#messages-status',
+  clearAll: '#clear-messages'
+};
+
+// Contact form fields in display order (see the form in index.html)
+const FORM_FIELDS = ['name', 'email', 'training', 'message'];
+
+// Values of the "Preferred Training Type" select, each with a messages.training label
+const TRAINING_OPTIONS = ['personal', 'group', 'cardio', 'strength', 'flexibility'];
+
+// Query parameter pointing form-action.html at an already saved submission
+const MESSAGE_PARAM = 'message';
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Get the display label of a training option
+ * @param {string} value - Option value from the contact form
+ * @returns {string} Label, or the raw value for unknown options
+ */
+function getTrainingLabel(value) {
+  return TRAINING_OPTIONS.includes(value) ? t(`messages.training.${value}`) : value;
+}
+
+/**
+ * Format a submitted value for display
+ * @param {string} field - Form field name
+ * @param {string} value - Submitted value
+ * @returns {string} HTML string
+ */
+function formatFieldValue(field, value) {
+  if (!value) {
+    return `<em class="data-empty">${t('messages.notProvided')}</em>`;
+  }
+  
+  return escapeHtml(field === 'training' ? getTrainingLabel(value) : value);
+}
+
+// ========================================
+// FORM ACTION PAGE
+// ========================================
+
+/**
+ * Render the submitted values
+ * @param {HTMLElement} container - Data container
+ * @param {Object|null} submission - Submitted values
+ */
+function renderSubmission(container, submission) {
+  if (!submission) {
+    container.innerHTML = `<p class="data-empty">${t('messages.noData')}</p>`;
+    return;
+  }
+  
+  container.innerHTML = FORM_FIELDS.map(field => `
+    <div class="data-item">
+      <span class="data-label">${t(`messages.fields.${field}`)}:</span>
+      <span class="data-value">${formatFieldValue(field, submission[field])}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Save the submission carried in the query string and show it
+ * The URL is then rewritten to point at the saved copy, so reloading the
+ * page doesn't store the same message twice.
+ */
+export function initializeFormAction() {
+  const container = document.querySelector(SELECTORS.formData);
+  if (!container) return;
+  
+  const params = new URLSearchParams(window.location.search);
+  const savedId = params.get(MESSAGE_PARAM);
+  let submission = savedId ? getFormSubmission(savedId) : null;
+  
+  if (!submission && FORM_FIELDS.some(field => params.has(field))) {
+    const values = Object.fromEntries(FORM_FIELDS.map(field => [field, params.get(field) || '']));
+    const saved = addFormSubmission(values);
+    
+    if (saved) {
+      history.replaceState(null, '', `${window.location.pathname}?${MESSAGE_PARAM}=${encodeURIComponent(saved.id)}`);
+    } else {
+      const status = document.querySelector(SELECTORS.saveStatus);
+      if (status) {
+        status.textContent = t('messages.notSaved');
+        status.hidden = false;
+      }
+    }
+    
+    submission = saved || values;
+  }
+  
+  renderSubmission(container, submission);
+  onLanguageChange(() => renderSubmission(container, submission));
+}
+
+// ========================================
+// MY MESSAGES PAGE
+// ========================================
+
+/**
+ * Announce the result of an action to screen readers
+ * @param {string} message - Message text
+ */
+function announce(message) {
+  const status = document.querySelector(SELECTORS.status);
+  if (status) status.textContent = message;
+}
+
+/**
+ * Create a list item for a saved submission
+ * @param {Object} submission - Submission data
+ * @param {Function} onDelete - Called with the submission when deleted
+ * @returns {HTMLElement} List item
+ */
+function createMessageItem(submission, onDelete) {
+  const date = formatDateTime(submission.createdAt);
+  const headingId = `message-${submission.id}`;
+  
+  const item = document.createElement('li');
+  item.className = 'message-item';
+  item.innerHTML = `
+    <div class="message-header">
+      <h3 id="${escapeHtml(headingId)}" class="message-date">
+        <time datetime="${escapeHtml(submission.createdAt)}">${escapeHtml(date)}</time>
+      </h3>
+      ${submission.training ? `<span class="message-training">${escapeHtml(getTrainingLabel(submission.training))}</span>` : ''}
+    </div>
+    <p class="message-text">${submission.message ? escapeHtml(submission.message) : `<em class="data-empty">${t('messages.noMessage')}</em>`}</p>
+    <p class="message-meta">${escapeHtml(submission.name)} · ${escapeHtml(submission.email)}</p>
+    <button type="button" class="btn-link message-delete" aria-label="${escapeHtml(t('messages.deleteLabel', { date }))}">
+      ${t('messages.delete')}
+    </button>
+  `;
+  
+  item.querySelector('button').addEventListener('click', () => onDelete(submission));
+  
+  return item;
+}
+
+/**
+ * Render the saved submissions
+ * @param {HTMLElement} list - List element
+ */
+export function renderMessages(list) {
+  if (!list) return;
+  
+  const submissions = getFormSubmissions();
+  const summary = document.querySelector(SELECTORS.summary);
+  const clearButton = document.querySelector(SELECTORS.clearAll);
+  
+  if (summary) {
+    summary.textContent = submissions.length > 0
+      ? t('messages.count', { count: submissions.length, max: MAX_FORM_SUBMISSIONS })
+      : '';
+    summary.hidden = submissions.length === 0;
+  }
+  
+  if (clearButton) {
+    clearButton.hidden = submissions.length === 0;
+  }
+  
+  list.innerHTML = '';
+  
+  if (submissions.length === 0) {
+    list.innerHTML = `<li class="message-empty">${t('messages.empty')}</li>`;
+    return;
+  }
+  
+  const handleDelete = (submission) => {
+    const index = submissions.indexOf(submission);
+    
+    if (!deleteFormSubmission(submission.id)) return;
+    
+    renderMessages(list);
+    announce(t('messages.deleted'));
+    
+    // Keep keyboard focus in the list: the next message, else the previous one
+    const buttons = list.querySelectorAll('.message-delete');
+    const next = buttons[Math.min(index, buttons.length - 1)];
+    (next || list).focus();
+  };
+  
+  const fragment = document.createDocumentFragment();
+  submissions.forEach(submission => fragment.appendChild(createMessageItem(submission, handleDelete)));
+  list.appendChild(fragment);
+}
+
+/**
+ * Set up the "My messages" page
+ */
+export function initializeMessages() {
+  const list = document.querySelector(SELECTORS.messages);
+  if (!list) return;
+  
+  renderMessages(list);
+  
+  const clearButton = document.querySelector(SELECTORS.clearAll);
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      if (!confirm(t('messages.clearConfirm'))) return;
+      
+      if (clearFormSubmissions()) {
+        renderMessages(list);
+        announce(t('messages.cleared'));
+        list.focus();
+      }
+    });
+  }
+  
+  // Messages sent or deleted in another tab
+  onStorageChange(({ field }) => {
+    if (field === 'formSubmissions' || field === null) {
+      renderMessages(list);
+    }
+  });
+  
+  onLanguageChange(() => renderMessages(list));
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  initializeFormAction,
+  initialize: initializeMessages,
+  render: renderMessages
+};
@@ -1,19 +1,29 @@
 /**
  * Modal Module
  * Handles modal dialog functionality with accessibility features
+ *
+ * Dialogs stack: opening a modal while another is open puts the new one on
+ * top (e.g. a trainer profile over a program's details). The page's #modal is
+ * used when it's free; otherwise a dialog is created on demand and removed
+ * again when it closes. Escape, the close button and backdrop clicks close
+ * only the top dialog, and focus returns to whatever opened each level.
  */
 
+import { t } from './i18n.js';
+
 // ========================================
 // CONSTANTS
 // ========================================
 
 const SELECTORS = {
   modal: '#modal',
-  modalTitle: '#modal-title',
-  modalContent: '#modal-content',
-  modalDetails: '#modal-details',
-  modalCta: '#modal-cta',
-  closeButton: '#closeModal'
+  modalTitle: '.modal-title',
+  modalContent: '.modal-text',
+  modalDetails: '.modal-details',
+  modalCta: '.modal-cta',
+  modalFooter: '.modal-footer',
+  modalActions: '.modal-action',
+  closeButton: '.modal-close'
 };
 
 const KEYS = {
@@ -25,8 +35,14 @@ const KEYS = {
 // STATE
 // ========================================
 
-let focusedElementBeforeModal = null;
-let modalElement = null;
+// Open dialogs, bottom first
+const stack = [];
+
+// Per-dialog state by dialog element
+const dialogs = new WeakMap();
+
+let baseElement = null;
+let createdCount = 0;
 
 // ========================================
 // FOCUS MANAGEMENT
@@ -48,21 +64,32 @@ function getFocusableElements(modal) {
     '[tabindex]:not([tabindex="-1"])'
   ];
   
-  return Array.from(modal.querySelectorAll(focusableSelectors.join(', ')));
+  return Array.from(modal.querySelectorAll(focusableSelectors.join(', ')))
+    .filter(element => !element.closest('[hidden]'));
 }
 
 /**
  * Trap focus within modal
  * @param {KeyboardEvent} e - Keyboard event
+ * @param {HTMLElement} modal - Modal element
  */
-function trapFocus(e) {
+function trapFocus(e, modal) {
   if (e.key !== KEYS.tab) return;
   
-  const focusableElements = getFocusableElements(modalElement);
+  const focusableElements = getFocusableElements(modal);
   const firstElement = focusableElements[0];
   const lastElement = focusableElements[focusableElements.length - 1];
   
-  if (e.shiftKey && document.activeElement === firstElement) {
+  if (!firstElement) {
+    e.preventDefault();
+    return;
+  }
+  
+  if (!modal.contains(document.activeElement)) {
+    // Focus escaped (e.g. clicked on the page behind) -> bring it back
+    e.preventDefault();
+    firstElement.focus();
+  } else if (e.shiftKey && document.activeElement === firstElement) {
     // Shift + Tab on first element -> focus last element
     e.preventDefault();
     lastElement.focus();
@@ -75,112 +102,339 @@ function trapFocus(e) {
 
 /**
  * Set initial focus in modal
+ * @param {HTMLElement} modal - Modal element
  */
-function setInitialFocus() {
-  const closeButton = modalElement.querySelector(SELECTORS.closeButton);
+function setInitialFocus(modal) {
+  // Content may have moved focus itself in the meantime (e.g. a booking form)
+  if (!modal.open || (modal.contains(document.activeElement) && document.activeElement !== modal)) return;
+  
+  const closeButton = modal.querySelector(SELECTORS.closeButton);
   if (closeButton) {
     closeButton.focus();
   }
 }
 
 /**
- * Restore focus to element that opened the modal
+ * Restore focus to the element that opened a dialog
+ * @param {Object} dialog - Dialog state
+ */
+function restoreFocus(dialog) {
+  const target = dialog.returnFocus;
+  
+  if (target && target.isConnected && target.focus) {
+    target.focus();
+  }
+}
+
+// ========================================
+// DIALOG SETUP
+// ========================================
+
+/**
+ * Put content into an element
+ * @param {HTMLElement} container - Target element
+ * @param {string|Node|HTMLTemplateElement} content - HTML string, DOM node or template
  */
-function restoreFocus() {
-  if (focusedElementBeforeModal && focusedElementBeforeModal.focus) {
-    focusedElementBeforeModal.focus();
+function setContent(container, content) {
+  if (content instanceof HTMLTemplateElement) {
+    container.replaceChildren(content.content.cloneNode(true));
+  } else if (content instanceof Node) {
+    container.replaceChildren(content);
+  } else {
+    container.innerHTML = content || '';
+  }
+}
+
+/**
+ * Wire the controls of a dialog element and keep its state
+ * @param {HTMLDialogElement} element - Dialog element
+ * @param {Object} [options] - Dialog options
+ * @param {boolean} [options.temporary] - Remove the element when it closes
+ * @returns {Object} Dialog state
+ */
+function registerDialog(element, { temporary = false } = {}) {
+  const ctaButton = element.querySelector(SELECTORS.modalCta);
+  
+  const dialog = {
+    element,
+    temporary,
+    returnFocus: null,
+    ctaHandler: null,
+    closeHandler: null,
+    defaultCtaLabel: ctaButton ? ctaButton.textContent.trim() : ''
+  };
+  
+  dialogs.set(element, dialog);
+  
+  // Close button click handler
+  const closeButton = element.querySelector(SELECTORS.closeButton);
+  if (closeButton) {
+    closeButton.addEventListener('click', () => closeModal(element));
+  }
+  
+  // CTA button click handler
+  if (ctaButton) {
+    ctaButton.addEventListener('click', () => {
+      if (typeof dialog.ctaHandler === 'function') {
+        dialog.ctaHandler();
+      } else {
+        closeModal(element);
+      }
+    });
   }
+  
+  // Close if clicking on backdrop (not modal content)
+  element.addEventListener('click', (e) => {
+    if (e.target === element) {
+      closeModal(element);
+    }
+  });
+  
+  // Handle native dialog cancel event (ESC key)
+  element.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeModal(element);
+  });
+  
+  return dialog;
+}
+
+/**
+ * Create a dialog element with the same structure as the page's #modal
+ * It is added to the page and removed again once closed.
+ * @returns {HTMLDialogElement}
+ */
+export function createModal() {
+  const id = `modal-${++createdCount}`;
+  
+  const element = document.createElement('dialog');
+  element.className = 'modal';
+  element.setAttribute('aria-labelledby', `${id}-title`);
+  element.setAttribute('aria-describedby', `${id}-content`);
+  element.innerHTML = `
+    <div class="modal-content">
+      <header class="modal-header">
+        <h3 id="${id}-title" class="modal-title"></h3>
+        <button type="button" class="modal-close" aria-label="${t('modal.close')}">✕</button>
+      </header>
+      <div class="modal-body">
+        <p id="${id}-content" class="modal-text"></p>
+        <div class="modal-details"></div>
+      </div>
+      <footer class="modal-footer">
+        <button type="button" class="btn btn-primary modal-cta">${t('modal.close')}</button>
+      </footer>
+    </div>
+  `;
+  
+  document.body.appendChild(element);
+  registerDialog(element, { temporary: true });
+  
+  return element;
+}
+
+/**
+ * Get the dialog on top of the stack
+ * @returns {Object|null} Dialog state
+ */
+function getTopDialog() {
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+/**
+ * Remove the actions added for the previous open
+ * @param {Object} dialog - Dialog state
+ */
+function resetActions(dialog) {
+  dialog.element.querySelectorAll(SELECTORS.modalActions).forEach(button => button.remove());
+}
+
+/**
+ * Add an action button to a dialog's footer for the current open
+ * @param {Object} dialog - Dialog state
+ * @param {Object} action - Action options
+ * @param {string} action.label - Button text
+ * @param {Function} action.onClick - Click handler
+ * @param {boolean} [action.keepOpen] - Don't close the dialog after the handler ran
+ */
+function appendAction(dialog, { label, onClick, keepOpen = false }) {
+  const footer = dialog.element.querySelector(SELECTORS.modalFooter);
+  if (!footer) return;
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-secondary modal-action';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    onClick();
+    
+    if (!keepOpen) {
+      closeModal(dialog.element);
+    }
+  });
+  
+  footer.appendChild(button);
 }
 
 // ========================================
 // MODAL CONTROL
 // ========================================
 
+/**
+ * Configure the call-to-action button of the top modal
+ * @param {Object} options - CTA options
+ * @param {string} [options.label] - Button text (defaults to the markup label)
+ * @param {boolean} [options.hidden] - Hide the button
+ * @param {Function|null} [options.onClick] - Click handler; closes the modal when omitted
+ */
+export function setModalCta({ label, hidden = false, onClick = null } = {}) {
+  const dialog = getTopDialog();
+  if (!dialog) return;
+  
+  const ctaButton = dialog.element.querySelector(SELECTORS.modalCta);
+  if (!ctaButton) return;
+  
+  ctaButton.textContent = label || dialog.defaultCtaLabel;
+  ctaButton.hidden = hidden;
+  dialog.ctaHandler = onClick;
+}
+
 /**
  * Open modal with content
+ * Opens on top of any modal that is already open.
  * @param {string} title - Modal title
- * @param {string} content - Modal content (HTML string)
+ * @param {string|Node|HTMLTemplateElement} content - Modal content (HTML string, DOM node or template)
+ * @param {Object} [options] - Modal options
+ * @param {string} [options.ctaLabel] - Call-to-action button text
+ * @param {Function} [options.onCta] - Call-to-action click handler
+ * @param {boolean} [options.hideCta] - Hide the call-to-action button
+ * @param {Array} [options.actions] - Extra footer buttons for this open ({ label, onClick, keepOpen })
+ * @param {Function} [options.onClose] - Called once the modal is closed
+ * @returns {Object|null} { element, close } for the opened modal
  */
-export function openModal(title, content) {
-  if (!modalElement) {
-    console.error('Modal element not found');
-    return;
-  }
+export function openModal(title, content, options = {}) {
+  const element = baseElement && !baseElement.open ? baseElement : createModal();
+  const dialog = dialogs.get(element);
   
   // Store currently focused element
-  focusedElementBeforeModal = document.activeElement;
+  dialog.returnFocus = document.activeElement;
   
   // Set modal content
-  const titleElement = modalElement.querySelector(SELECTORS.modalTitle);
-  const contentElement = modalElement.querySelector(SELECTORS.modalContent);
-  const detailsElement = modalElement.querySelector(SELECTORS.modalDetails);
+  const titleElement = element.querySelector(SELECTORS.modalTitle);
+  const contentElement = element.querySelector(SELECTORS.modalContent);
+  const detailsElement = element.querySelector(SELECTORS.modalDetails);
   
   if (titleElement) {
     titleElement.textContent = title;
   }
   
   if (detailsElement) {
-    detailsElement.innerHTML = content;
+    setContent(detailsElement, content);
   }
   
   if (contentElement) {
     contentElement.innerHTML = '';
   }
   
+  stack.push(dialog);
+  
+  // Reset call-to-action, actions and close callback for this open
+  resetActions(dialog);
+  setModalCta({ label: options.ctaLabel, hidden: Boolean(options.hideCta), onClick: options.onCta || null });
+  (options.actions || []).forEach(action => appendAction(dialog, action));
+  dialog.closeHandler = options.onClose || null;
+  
   // Show modal
-  modalElement.showModal();
+  element.showModal();
   
   // Set initial focus
-  setTimeout(() => setInitialFocus(), 100);
+  setTimeout(() => setInitialFocus(element), 100);
   
-  // Add event listeners
-  document.addEventListener('keydown', handleKeyDown);
+  if (stack.length === 1) {
+    // Add event listeners
+    document.addEventListener('keydown', handleKeyDown);
+    
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+  }
   
-  // Prevent body scroll
-  document.body.style.overflow = 'hidden';
+  return {
+    element,
+    close: () => closeModal(element)
+  };
 }
 
 /**
- * Close modal
+ * Close the top modal
  */
-export function closeModal() {
-  if (!modalElement) return;
+function closeTopModal() {
+  const dialog = stack.pop();
   
   // Close modal
-  modalElement.close();
+  dialog.element.close();
+  resetActions(dialog);
   
-  // Remove event listeners
-  document.removeEventListener('keydown', handleKeyDown);
-  
-  // Restore body scroll
-  document.body.style.overflow = '';
+  if (stack.length === 0) {
+    // Remove event listeners
+    document.removeEventListener('keydown', handleKeyDown);
+    
+    // Restore body scroll
+    document.body.style.overflow = '';
+  }
   
   // Restore focus
-  restoreFocus();
+  restoreFocus(dialog);
+  
+  if (dialog.temporary) {
+    dialog.element.remove();
+  }
+  
+  // Notify the opener once
+  if (typeof dialog.closeHandler === 'function') {
+    const handler = dialog.closeHandler;
+    dialog.closeHandler = null;
+    handler();
+  }
 }
 
 /**
- * Handle keyboard events
- * @param {KeyboardEvent} e - Keyboard event
+ * Close a modal, along with any modal stacked on top of it
+ * @param {HTMLDialogElement} [element] - Modal to close (defaults to the top one)
  */
-function handleKeyDown(e) {
-  if (e.key === KEYS.escape) {
-    closeModal();
-  } else {
-    trapFocus(e);
+export function closeModal(element) {
+  const target = element ? dialogs.get(element) : getTopDialog();
+  
+  if (!target || !stack.includes(target)) return;
+  
+  while (stack.includes(target)) {
+    closeTopModal();
+  }
+}
+
+/**
+ * Close every open modal
+ */
+export function closeAllModals() {
+  while (stack.length > 0) {
+    closeTopModal();
   }
 }
 
 /**
- * Handle click on modal backdrop
- * @param {MouseEvent} e - Click event
+ * Handle keyboard events
+ * Only the top modal reacts.
+ * @param {KeyboardEvent} e - Keyboard event
  */
-function handleBackdropClick(e) {
-  const modalContent = modalElement.querySelector('.modal-content');
+function handleKeyDown(e) {
+  const dialog = getTopDialog();
+  if (!dialog) return;
   
-  // Close if clicking on backdrop (not modal content)
-  if (e.target === modalElement && !modalContent.contains(e.target)) {
-    closeModal();
+  if (e.key === KEYS.escape) {
+    // Keep the browser from also cancelling the dialog underneath
+    e.preventDefault();
+    closeModal(dialog.element);
+  } else {
+    trapFocus(e, dialog.element);
   }
 }
 
@@ -192,34 +446,12 @@ function handleBackdropClick(e) {
  * Initialize modal functionality
  */
 export function initializeModal() {
-  modalElement = document.querySelector(SELECTORS.modal);
-  
-  if (!modalElement) return;
-  
-  // Close button click handler
-  const closeButton = modalElement.querySelector(SELECTORS.closeButton);
-  if (closeButton) {
-    closeButton.addEventListener('click', closeModal);
-  }
-  
-  // CTA button click handler
-  const ctaButton = modalElement.querySelector(SELECTORS.modalCta);
-  if (ctaButton) {
-    ctaButton.addEventListener('click', () => {
-      // TODO: Implement booking functionality
-      console.log('Booking functionality to be implemented');
-      closeModal();
-    });
-  }
+  const element = document.querySelector(SELECTORS.modal);
   
-  // Backdrop click handler
-  modalElement.addEventListener('click', handleBackdropClick);
+  if (!element || dialogs.has(element)) return;
   
-  // Handle native dialog cancel event (ESC key)
-  modalElement.addEventListener('cancel', (e) => {
-    e.preventDefault();
-    closeModal();
-  });
+  baseElement = element;
+  registerDialog(element);
 }
 
 // ========================================
@@ -231,59 +463,63 @@ export function initializeModal() {
  * @returns {boolean}
  */
 export function isModalOpen() {
-  return modalElement && modalElement.open;
+  return stack.length > 0;
 }
 
 /**
- * Update modal content dynamically
+ * Update the content of the top modal
  * @param {Object} options - Content options
- * @param {string} options.title - New title
- * @param {string} options.content - New content
+ * @param {string} [options.title] - New title
+ * @param {string|Node|HTMLTemplateElement} [options.content] - New content
+ * @param {string|Node|HTMLTemplateElement} [options.details] - New details content
  */
-export function updateModalContent({ title, content }) {
-  if (!isModalOpen()) {
+export function updateModalContent({ title, content, details }) {
+  const dialog = getTopDialog();
+  
+  if (!dialog) {
     console.warn('Cannot update content: modal is not open');
     return;
   }
   
   if (title) {
-    const titleElement = modalElement.querySelector(SELECTORS.modalTitle);
+    const titleElement = dialog.element.querySelector(SELECTORS.modalTitle);
     if (titleElement) {
       titleElement.textContent = title;
     }
   }
   
   if (content) {
-    const contentElement = modalElement.querySelector(SELECTORS.modalContent);
+    const contentElement = dialog.element.querySelector(SELECTORS.modalContent);
     if (contentElement) {
-      contentElement.innerHTML = content;
+      setContent(contentElement, content);
+    }
+  }
+  
+  if (details) {
+    const detailsElement = dialog.element.querySelector(SELECTORS.modalDetails);
+    if (detailsElement) {
+      setContent(detailsElement, details);
     }
   }
 }
 
 /**
- * Add custom modal action
+ * Add custom action to the top modal
+ * The button is removed when the modal closes or is opened again.
  * @param {string} buttonText - Button text
  * @param {Function} callback - Click handler
+ * @param {Object} [options] - Action options
+ * @param {boolean} [options.keepOpen] - Don't close the modal after the callback ran
  */
-export function addModalAction(buttonText, callback) {
-  if (!isModalOpen()) {
+export function addModalAction(buttonText, callback, { keepOpen = false } = {}) {
+  const dialog = getTopDialog();
+  
+  if (!dialog) {
     console.warn('Cannot add action: modal is not open');
     return;
   }
   
-  const footer = modalElement.querySelector('.modal-footer');
-  if (!footer) return;
-  
-  const button = document.createElement('button');
-  button.className = 'btn btn-secondary';
-  button.textContent = buttonText;
-  button.addEventListener('click', () => {
-    callback();
-    closeModal();
-  });
-  
-  footer.appendChild(button);
+  appendAction(dialog, { label: buttonText, onClick: callback, keepOpen });
 }
 
 // ========================================
@@ -293,8 +529,11 @@ export function addModalAction(buttonText, callback) {
 export default {
   open: openModal,
   close: closeModal,
+  closeAll: closeAllModals,
+  create: createModal,
   initialize: initializeModal,
   isOpen: isModalOpen,
   updateContent: updateModalContent,
+  setCta: setModalCta,
   addAction: addModalAction
 };
@@ -0,0 +1,99 @@
+/**
+ * Offline Module
+ * Registers the service worker and reports when class data comes from its cache
+ */
+
+import { t, formatDateTime } from './i18n.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SERVICE_WORKER_PATH = 'sw.js';
+
+// ========================================
+// SERVICE WORKER
+// ========================================
+
+/**
+ * Check if service workers can run on this page
+ * They need a secure context (https or localhost).
+ * @returns {boolean}
+ */
+export function isServiceWorkerSupported() {
+  return 'serviceWorker' in navigator && window.isSecureContext;
+}
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null if unsupported/failed
+ */
+export async function registerServiceWorker() {
+  if (!isServiceWorkerSupported()) {
+    return null;
+  }
+  
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Listen for fresh class data cached by the service worker
+ * @param {Function} callback - Called when the cached data changed
+ * @returns {Function} Function that removes the listener
+ */
+export function onClassesUpdated(callback) {
+  if (!isServiceWorkerSupported()) {
+    return () => {};
+  }
+  
+  const handler = (event) => {
+    if (event.data && event.data.type === 'classes-updated') {
+      callback();
+    }
+  };
+  
+  navigator.serviceWorker.addEventListener('message', handler);
+  return () => navigator.serviceWorker.removeEventListener('message', handler);
+}
+
+// ========================================
+// DATA STATUS
+// ========================================
+
+/**
+ * Show whether the programs on screen come from the offline cache
+ * @param {HTMLElement} element - Status element
+ * @param {Object} source - Data source from getDataSource()
+ * @param {boolean} source.fromCache - Whether the service worker answered from its cache
+ * @param {string} source.cachedAt - ISO timestamp of the cached copy
+ */
+export function renderDataStatus(element, { fromCache, cachedAt }) {
+  if (!element) return;
+  
+  if (!fromCache) {
+    element.hidden = true;
+    element.textContent = '';
+    return;
+  }
+  
+  const key = navigator.onLine ? 'offline.cached' : 'offline.cachedOffline';
+  
+  element.textContent = t(key, { updated: formatDateTime(cachedAt) });
+  element.hidden = false;
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  isSupported: isServiceWorkerSupported,
+  register: registerServiceWorker,
+  onClassesUpdated,
+  renderDataStatus
+};
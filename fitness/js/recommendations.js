@@ -0,0 +1,405 @@
+/**
+ * Recommendations Module
+ * "Recommended for you" programs ranked from the visitor's recent history:
+ * the types they browsed and the levels and trainers of the programs they opened
+ */
+
+import { getClasses, getLevelRank } from './fetch.js';
+import {
+  getRecentClasses,
+  getRecentPrograms,
+  getDismissedRecommendations,
+  dismissRecommendation,
+  clearDismissedRecommendations,
+  isProgramBooked,
+  onStorageChange
+} from './storage.js';
+import { t, formatDuration, onLanguageChange } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  section: '#recommendations-section',
+  heading: '#recommendations-heading',
+  intro: '#recommendations-intro',
+  list: '#recommendations',
+  status: '#recommendations-status',
+  restore: '#recommendations-restore'
+};
+
+const MAX_RECOMMENDATIONS = 3;
+
+// Reasons shown per suggestion, strongest first
+const MAX_REASONS = 2;
+
+// How much a match on each field counts towards a program's score
+const WEIGHTS = {
+  type: 3,
+  level: 2,
+  trainer: 2
+};
+
+const PROGRAMS_PAGE = 'programs.html';
+
+// Storage fields that change what gets suggested
+const HISTORY_FIELDS = ['recentClasses', 'recentPrograms', 'dismissedRecommendations', 'bookings'];
+
+// ========================================
+// STATE
+// ========================================
+
+let classes = [];
+let selectHandler = null;
+
+// ========================================
+// RANKING
+// ========================================
+
+/**
+ * Weigh recent values, newest first: the latest counts 1, the one before 1/2...
+ * @param {Array} values - Values, newest first
+ * @returns {Map} Weight by value
+ */
+function weighRecent(values) {
+  const weights = new Map();
+  
+  values.forEach((value, index) => {
+    weights.set(value, (weights.get(value) || 0) + 1 / (index + 1));
+  });
+  
+  return weights;
+}
+
+/**
+ * Build what a visitor is interested in from their history
+ * @param {Array} data - Array of class objects
+ * @param {Object} history - Visitor history
+ * @param {Array} history.recentTypes - Recently browsed types, newest first
+ * @param {Array} history.recentPrograms - Recently opened program names, newest first
+ * @returns {Object} { type, level, trainer } maps of weight by value
+ */
+function buildProfile(data, { recentTypes, recentPrograms }) {
+  const viewed = recentPrograms
+    .map(name => data.find(program => program.name === name))
+    .filter(Boolean);
+  
+  return {
+    type: weighRecent(recentTypes),
+    level: weighRecent(viewed.map(program => program.level)),
+    trainer: weighRecent(viewed.map(program => program.trainer))
+  };
+}
+
+/**
+ * Score a program against a visitor profile
+ * @param {Object} program - Class object
+ * @param {Object} profile - Profile from buildProfile()
+ * @returns {Object} { score, reasons } with reasons ordered by how much they counted
+ */
+function scoreProgram(program, profile) {
+  const matches = Object.keys(WEIGHTS)
+    .map(field => ({ field, points: WEIGHTS[field] * (profile[field].get(program[field]) || 0) }))
+    .filter(({ points }) => points > 0)
+    .sort((a, b) => b.points - a.points);
+  
+  return {
+    score: matches.reduce((sum, { points }) => sum + points, 0),
+    reasons: matches.slice(0, MAX_REASONS).map(({ field }) => ({ key: field, params: { [field]: program[field] } }))
+  };
+}
+
+/**
+ * Explain a suggestion made without history
+ * @param {Object} program - Class object
+ * @returns {Array} Reasons
+ */
+function getStarterReasons(program) {
+  const reasons = [];
+  const sessions = Array.isArray(program.sessions) ? program.sessions.length : 0;
+  
+  // "All Levels" and "Beginner" rank first
+  if (getLevelRank(program.level) <= getLevelRank('beginner')) {
+    reasons.push({ key: 'starter', params: { level: program.level } });
+  }
+  
+  if (sessions > 0) {
+    reasons.push({ key: 'sessions', params: { count: sessions } });
+  }
+  
+  return reasons.length > 0 ? reasons : [{ key: 'explore', params: {} }];
+}
+
+/**
+ * Rank programs for a visitor
+ * Programs they already opened or booked are left out, as are dismissed ones.
+ * Without (enough) history the list is topped up with beginner friendly
+ * programs that run most often.
+ * @param {Array} data - Array of class objects
+ * @param {Object} history - Visitor history
+ * @param {Array} [history.recentTypes] - Recently browsed types, newest first
+ * @param {Array} [history.recentPrograms] - Recently opened program names, newest first
+ * @param {Array} [history.dismissed] - Program names not to suggest
+ * @param {Function} [history.isBooked] - Whether a program name is booked
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array} Array of { program, reasons, personal }
+ */
+export function getRecommendations(data, history = {}, limit = MAX_RECOMMENDATIONS) {
+  const {
+    recentTypes = [],
+    recentPrograms = [],
+    dismissed = [],
+    isBooked = () => false
+  } = history;
+  
+  const candidates = data.filter(program =>
+    !dismissed.includes(program.name) &&
+    !recentPrograms.includes(program.name) &&
+    !isBooked(program.name)
+  );
+  
+  const profile = buildProfile(data, { recentTypes, recentPrograms });
+  
+  const personal = candidates
+    .map((program, index) => ({ program, index, ...scoreProgram(program, profile) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ program, reasons }) => ({ program, reasons, personal: true }));
+  
+  const starters = candidates
+    .filter(program => !personal.some(item => item.program === program))
+    .map((program, index) => ({ program, index }))
+    .sort((a, b) =>
+      getLevelRank(a.program.level) - getLevelRank(b.program.level) ||
+      (b.program.sessions || []).length - (a.program.sessions || []).length ||
+      a.index - b.index
+    )
+    .map(({ program }) => ({ program, reasons: getStarterReasons(program), personal: false }));
+  
+  return [...personal, ...starters].slice(0, limit);
+}
+
+/**
+ * Read the visitor history used for ranking from storage
+ * @returns {Object} History for getRecommendations()
+ */
+function getStoredHistory() {
+  return {
+    recentTypes: getRecentClasses(),
+    recentPrograms: getRecentPrograms(),
+    dismissed: getDismissedRecommendations(),
+    isBooked: isProgramBooked
+  };
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Announce the result of an action to screen readers
+ * @param {string} message - Message text
+ */
+function announce(message) {
+  const status = document.querySelector(SELECTORS.status);
+  if (status) status.textContent = message;
+}
+
+/**
+ * Get the link to a program's details
+ * @param {Object} program - Class object
+ * @returns {string}
+ */
+function getProgramUrl(program) {
+  return `${PROGRAMS_PAGE}?open=${encodeURIComponent(program.name)}`;
+}
+
+/**
+ * Create a suggestion card
+ * @param {Object} recommendation - { program, reasons }
+ * @returns {HTMLElement} List item
+ */
+function createRecommendationCard({ program, reasons }) {
+  const item = document.createElement('li');
+  item.className = 'recommendation-card';
+  item.dataset.program = program.name;
+  
+  const facts = [program.type, program.level, formatDuration(program.duration), program.trainer];
+  
+  item.innerHTML = `
+    <h3 class="recommendation-name">${escapeHtml(program.name)}</h3>
+    <p class="recommendation-facts">${facts.map(escapeHtml).join(' · ')}</p>
+    <ul class="recommendation-reasons" aria-label="${escapeHtml(t('recommendations.why'))}">
+      ${reasons.map(({ key, params }) => `<li>${escapeHtml(t(`recommendations.reasons.${key}`, params))}</li>`).join('')}
+    </ul>
+    <div class="recommendation-actions">
+      <a href="${escapeHtml(getProgramUrl(program))}" class="btn btn-primary recommendation-view"
+        aria-label="${escapeHtml(t('recommendations.viewLabel', { name: program.name }))}">${t('recommendations.view')}</a>
+      <button type="button" class="btn-link recommendation-dismiss"
+        aria-label="${escapeHtml(t('recommendations.dismissLabel', { name: program.name }))}">${t('recommendations.dismiss')}</button>
+    </div>
+  `;
+  
+  item.querySelector('.recommendation-view').addEventListener('click', (e) => {
+    // On the programs page the details open in place
+    if (!selectHandler) return;
+    
+    e.preventDefault();
+    selectHandler(program);
+  });
+  
+  item.querySelector('.recommendation-dismiss').addEventListener('click', () => handleDismiss(program));
+  
+  return item;
+}
+
+/**
+ * Render the suggestions for the current history
+ */
+export function renderRecommendations() {
+  const section = document.querySelector(SELECTORS.section);
+  const list = document.querySelector(SELECTORS.list);
+  if (!section || !list) return;
+  
+  // Nothing to suggest from until classes have loaded
+  if (classes.length === 0) {
+    section.hidden = true;
+    return;
+  }
+  
+  const recommendations = getRecommendations(classes, getStoredHistory());
+  const personal = recommendations.some(item => item.personal);
+  
+  const heading = section.querySelector(SELECTORS.heading);
+  const intro = section.querySelector(SELECTORS.intro);
+  const restore = section.querySelector(SELECTORS.restore);
+  
+  if (heading) heading.textContent = t('recommendations.title');
+  if (intro) intro.textContent = t(personal ? 'recommendations.introPersonal' : 'recommendations.introNew');
+  
+  if (restore) {
+    restore.textContent = t('recommendations.restore');
+    restore.hidden = getDismissedRecommendations().length === 0;
+  }
+  
+  list.innerHTML = '';
+  
+  if (recommendations.length === 0) {
+    list.innerHTML = `<li class="recommendation-empty">${t('recommendations.empty')}</li>`;
+  } else {
+    const fragment = document.createDocumentFragment();
+    recommendations.forEach(recommendation => fragment.appendChild(createRecommendationCard(recommendation)));
+    list.appendChild(fragment);
+  }
+  
+  section.hidden = false;
+}
+
+/**
+ * Stop suggesting a program and keep focus in the section
+ * @param {Object} program - Class object
+ */
+function handleDismiss(program) {
+  const list = document.querySelector(SELECTORS.list);
+  const cards = Array.from(list.querySelectorAll('.recommendation-card'));
+  const index = cards.findIndex(card => card.dataset.program === program.name);
+  
+  if (!dismissRecommendation(program.name)) return;
+  
+  renderRecommendations();
+  announce(t('recommendations.dismissed', { name: program.name }));
+  
+  // The card that took its place, else the last one, else the restore button
+  const buttons = list.querySelectorAll('.recommendation-dismiss');
+  const next = buttons[Math.min(index, buttons.length - 1)];
+  const restore = document.querySelector(SELECTORS.restore);
+  
+  if (next) {
+    next.focus();
+  } else if (restore && !restore.hidden) {
+    restore.focus();
+  }
+}
+
+/**
+ * Suggest dismissed programs again
+ */
+function handleRestore() {
+  if (!clearDismissedRecommendations()) return;
+  
+  renderRecommendations();
+  announce(t('recommendations.restored'));
+  
+  const first = document.querySelector(`${SELECTORS.list} .recommendation-view`);
+  if (first) first.focus();
+}
+
+/**
+ * Use a new set of classes for the suggestions
+ * @param {Array} data - Array of class objects
+ */
+export function updateRecommendations(data) {
+  classes = Array.isArray(data) ? data : [];
+  renderRecommendations();
+}
+
+/**
+ * Load classes for pages that don't load them already
+ */
+async function loadRecommendations() {
+  try {
+    updateRecommendations(await getClasses());
+  } catch (error) {
+    // Suggestions are optional; the section simply stays hidden
+  }
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Set up the "Recommended for you" section
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onSelect] - Called with a program instead of following its link
+ * @param {boolean} [options.loadClasses] - Fetch classes here; pass false when the page
+ *   supplies them through updateRecommendations()
+ */
+export function initializeRecommendations({ onSelect = null, loadClasses = true } = {}) {
+  const section = document.querySelector(SELECTORS.section);
+  if (!section) return;
+  
+  selectHandler = onSelect;
+  
+  const restore = section.querySelector(SELECTORS.restore);
+  if (restore) {
+    restore.addEventListener('click', handleRestore);
+  }
+  
+  // History changed in another tab. Views in this tab only count from the
+  // next visit, so the cards don't move while someone is browsing.
+  onStorageChange(({ field }) => {
+    if (field === null || HISTORY_FIELDS.includes(field)) {
+      renderRecommendations();
+    }
+  });
+  
+  onLanguageChange(renderRecommendations);
+  
+  if (loadClasses) {
+    loadRecommendations();
+  }
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  getRecommendations,
+  render: renderRecommendations,
+  update: updateRecommendations,
+  initialize: initializeRecommendations
+};
@@ -0,0 +1,265 @@
+/**
+ * Roving Focus Module
+ * Keyboard model for a grid of cards: only one card is in the tab order at a
+ * time and the keyboard moves between them
+ *
+ *   Arrow keys          previous/next card, or the row above/below
+ *   Home / End          first / last card
+ *   Enter / Space       activate the focused card
+ *   Letters             type-ahead to the next card whose label starts with them
+ *
+ * Controls inside a card are only tabbable while that card is the active one.
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const KEYS = {
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  home: 'Home',
+  end: 'End',
+  enter: 'Enter',
+  space: ' '
+};
+
+// Typed letters belong to the same search until this pause (ms)
+const TYPE_AHEAD_TIMEOUT = 500;
+
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex]';
+
+// Marks inner controls taken out of the tab order by this module
+const INNER_ATTRIBUTE = 'data-roving-inner';
+
+// ========================================
+// STATE
+// ========================================
+
+// Options and position per container
+const grids = new WeakMap();
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Get the cards of a grid in DOM order
+ * @param {HTMLElement} container - Grid element
+ * @returns {Array} Card elements
+ */
+function getItems(container) {
+  return Array.from(container.querySelectorAll(grids.get(container).itemSelector));
+}
+
+/**
+ * Count the cards on the first row of a wrapped grid
+ * @param {Array} items - Card elements
+ * @returns {number} Cards per row (at least 1)
+ */
+function getColumnCount(items) {
+  if (items.length === 0) return 1;
+  
+  const firstTop = items[0].getBoundingClientRect().top;
+  const columns = items.filter(item => Math.abs(item.getBoundingClientRect().top - firstTop) < 1).length;
+  
+  return Math.max(columns, 1);
+}
+
+/**
+ * Make one card the tab stop of the grid
+ * @param {HTMLElement} container - Grid element
+ * @param {number} index - Card index
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.focus] - Also move focus to the card
+ */
+function setActiveItem(container, index, { focus = false } = {}) {
+  const grid = grids.get(container);
+  const items = getItems(container);
+  if (items.length === 0) return;
+  
+  const activeIndex = Math.min(Math.max(index, 0), items.length - 1);
+  
+  items.forEach((item, itemIndex) => {
+    const active = itemIndex === activeIndex;
+    item.tabIndex = active ? 0 : -1;
+    
+    item.querySelectorAll(FOCUSABLE_SELECTOR).forEach(control => {
+      if (active && control.hasAttribute(INNER_ATTRIBUTE)) {
+        control.removeAttribute('tabindex');
+        control.removeAttribute(INNER_ATTRIBUTE);
+      } else if (!active && !control.hasAttribute('tabindex')) {
+        control.tabIndex = -1;
+        control.setAttribute(INNER_ATTRIBUTE, '');
+      }
+    });
+  });
+  
+  grid.activeIndex = activeIndex;
+  grid.activeLabel = grid.getLabel(items[activeIndex]);
+  
+  if (focus) {
+    items[activeIndex].focus();
+  }
+}
+
+/**
+ * Find the next card whose label starts with the typed text
+ * @param {Array} items - Card elements
+ * @param {Object} grid - Grid state
+ * @returns {number} Card index, or -1
+ */
+function findTypeAheadMatch(items, grid) {
+  const search = grid.typed.toLowerCase();
+  
+  // A new single letter moves on from the current card; longer text refines it
+  const start = search.length === 1 ? grid.activeIndex + 1 : grid.activeIndex;
+  
+  for (let offset = 0; offset < items.length; offset++) {
+    const index = (start + offset) % items.length;
+    
+    if (grid.getLabel(items[index]).toLowerCase().startsWith(search)) {
+      return index;
+    }
+  }
+  
+  return -1;
+}
+
+// ========================================
+// EVENT HANDLERS
+// ========================================
+
+/**
+ * Move between cards, activate them and type-ahead
+ * Only handled while a card itself (not a control inside it) has focus.
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleKeyDown(e) {
+  const container = e.currentTarget;
+  const grid = grids.get(container);
+  const items = getItems(container);
+  const current = items.indexOf(e.target);
+  
+  if (current === -1 || e.altKey || e.ctrlKey || e.metaKey) return;
+  
+  grid.activeIndex = current;
+  
+  const columns = getColumnCount(items);
+  const moves = {
+    [KEYS.left]: current - 1,
+    [KEYS.right]: current + 1,
+    [KEYS.up]: current - columns,
+    [KEYS.down]: current + columns,
+    [KEYS.home]: 0,
+    [KEYS.end]: items.length - 1
+  };
+  
+  if (e.key in moves) {
+    e.preventDefault();
+    
+    const target = moves[e.key];
+    if (target >= 0 && target < items.length) {
+      setActiveItem(container, target, { focus: true });
+    }
+    return;
+  }
+  
+  if (e.key === KEYS.enter || e.key === KEYS.space) {
+    e.preventDefault();
+    grid.onActivate(e.target);
+    return;
+  }
+  
+  if (e.key.length === 1 && e.key.trim() !== '') {
+    e.preventDefault();
+    
+    clearTimeout(grid.typeAheadTimer);
+    grid.typed += e.key;
+    grid.typeAheadTimer = setTimeout(() => {
+      grid.typed = '';
+    }, TYPE_AHEAD_TIMEOUT);
+    
+    const match = findTypeAheadMatch(items, grid);
+    if (match !== -1) {
+      setActiveItem(container, match, { focus: true });
+    }
+  }
+}
+
+/**
+ * Make the card that received focus (by click or Tab) the tab stop
+ * @param {FocusEvent} e - Focus event
+ */
+function handleFocusIn(e) {
+  const container = e.currentTarget;
+  const grid = grids.get(container);
+  const item = e.target.closest(grid.itemSelector);
+  const index = getItems(container).indexOf(item);
+  
+  if (index !== -1 && index !== grid.activeIndex) {
+    setActiveItem(container, index);
+  }
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Update the tab stop after the cards were (re-)rendered
+ * The previously active card keeps the tab stop when it is still there,
+ * otherwise the card now at its position takes it.
+ * @param {HTMLElement} container - Grid element
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.focus] - Move focus to the active card
+ */
+export function syncRovingFocus(container, { focus = false } = {}) {
+  const grid = container ? grids.get(container) : null;
+  if (!grid) return;
+  
+  const items = getItems(container);
+  const kept = items.findIndex(item => grid.getLabel(item) === grid.activeLabel);
+  
+  setActiveItem(container, kept !== -1 ? kept : grid.activeIndex, { focus });
+}
+
+/**
+ * Add the keyboard model to a grid
+ * Cards are found by selector at the time of each key press, so the grid
+ * can be re-rendered freely; call syncRovingFocus() afterwards.
+ * @param {HTMLElement} container - Grid element
+ * @param {Object} options - Options
+ * @param {string} options.itemSelector - Selector of the cards
+ * @param {Function} options.getLabel - (card) => name used for type-ahead
+ * @param {Function} options.onActivate - (card) => void, called on Enter/Space
+ */
+export function initializeRovingFocus(container, { itemSelector, getLabel, onActivate }) {
+  if (!container || grids.has(container)) return;
+  
+  grids.set(container, {
+    itemSelector,
+    getLabel,
+    onActivate,
+    activeIndex: 0,
+    activeLabel: null,
+    typed: '',
+    typeAheadTimer: null
+  });
+  
+  container.addEventListener('keydown', handleKeyDown);
+  container.addEventListener('focusin', handleFocusIn);
+  
+  syncRovingFocus(container);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  initialize: initializeRovingFocus,
+  sync: syncRovingFocus
+};
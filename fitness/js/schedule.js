@@ -0,0 +1,203 @@
+/**
+ * Schedule Module
+ * Weekly session model for classes and the timetable view
+ */
+
+import { getBookings } from './storage.js';
+import { t, formatTime } from './i18n.js';
+import { escapeHtml, toISODate } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ========================================
+// SESSION VALIDATION
+// ========================================
+
+/**
+ * Check if a string is a valid 24h time (HH:MM)
+ * @param {string} time - Time string
+ * @returns {boolean}
+ */
+export function isValidTime(time) {
+  return typeof time === 'string' && TIME_PATTERN.test(time);
+}
+
+/**
+ * Validate session data structure
+ * @param {Object} session - Session object to validate
+ * @returns {boolean}
+ */
+export function isValidSession(session) {
+  if (!session || typeof session !== 'object') {
+    return false;
+  }
+  
+  return WEEKDAYS.includes(session.day) &&
+         isValidTime(session.time) &&
+         typeof session.room === 'string' &&
+         session.room.trim() !== '' &&
+         Number.isInteger(session.capacity) &&
+         session.capacity > 0;
+}
+
+// ========================================
+// SESSION HELPERS
+// ========================================
+
+/**
+ * Get the weekday name for a date
+ * @param {Date} date - Date
+ * @returns {string} Weekday name (Monday-Sunday)
+ */
+export function getWeekday(date) {
+  // Date#getDay starts the week on Sunday
+  return WEEKDAYS[(date.getDay() + 6) % 7];
+}
+
+/**
+ * Get the sessions of a program that run on a given date
+ * @param {Object} program - Program data
+ * @param {Date} date - Date
+ * @returns {Array} Sessions sorted by start time
+ */
+export function getSessionsForDate(program, date) {
+  const weekday = getWeekday(date);
+  
+  return (program.sessions || [])
+    .filter(session => session.day === weekday)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Get the next date a weekly session takes place
+ * @param {Object} session - Session data
+ * @param {Date} from - Reference date
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function getNextSessionDate(session, from = new Date()) {
+  const nowTime = `${String(from.getHours()).padStart(2, '0')}:${String(from.getMinutes()).padStart(2, '0')}`;
+  let offset = (WEEKDAYS.indexOf(session.day) - WEEKDAYS.indexOf(getWeekday(from)) + 7) % 7;
+  
+  // Today's session already started: use next week's
+  if (offset === 0 && session.time <= nowTime) {
+    offset = 7;
+  }
+  
+  return toISODate(new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset));
+}
+
+/**
+ * Get remaining spots for a session on a specific date
+ * @param {Object} program - Program data
+ * @param {Object} session - Session data
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Remaining spots
+ */
+export function getRemainingSpots(program, session, date) {
+  const taken = getBookings().filter(item =>
+    item.program === program.name &&
+    item.date === date &&
+    item.time === session.time
+  ).length;
+  
+  return Math.max(session.capacity - taken, 0);
+}
+
+/**
+ * Group all class sessions by weekday
+ * @param {Array} classes - Array of class objects
+ * @returns {Object} Weekday names as keys, sorted session entries as values
+ */
+export function getWeeklySchedule(classes) {
+  const schedule = Object.fromEntries(WEEKDAYS.map(day => [day, []]));
+  
+  classes.forEach(program => {
+    (program.sessions || []).forEach(session => {
+      schedule[session.day].push({ program, session });
+    });
+  });
+  
+  WEEKDAYS.forEach(day => {
+    schedule[day].sort((a, b) => a.session.time.localeCompare(b.session.time));
+  });
+  
+  return schedule;
+}
+
+// ========================================
+// TIMETABLE VIEW
+// ========================================
+
+/**
+ * Render the Monday-Sunday timetable grid
+ * @param {HTMLElement} container - Timetable container
+ * @param {Array} classes - Array of class objects
+ */
+export function renderTimetable(container, classes) {
+  if (!container) return;
+  
+  const schedule = getWeeklySchedule(classes);
+  const now = new Date();
+  
+  container.innerHTML = '';
+  
+  const fragment = document.createDocumentFragment();
+  
+  WEEKDAYS.forEach(day => {
+    const column = document.createElement('section');
+    column.classList.add('timetable-day');
+    column.setAttribute('aria-label', t(`schedule.weekdays.${day}`));
+    
+    const entries = schedule[day];
+    
+    const items = entries.map(({ program, session }) => {
+      const remaining = getRemainingSpots(program, session, getNextSessionDate(session, now));
+      const spotsClass = remaining === 0 ? 'timetable-spots is-full' : 'timetable-spots';
+      const spotsText = remaining === 0
+        ? t('schedule.full')
+        : t('schedule.spotsLeft', { count: remaining, capacity: session.capacity });
+      
+      return `
+        <li class="timetable-session" data-type="${escapeHtml(program.type)}">
+          <span class="timetable-time">${escapeHtml(formatTime(session.time))}</span>
+          <strong class="timetable-name">${escapeHtml(program.name)}</strong>
+          <span class="timetable-room">${escapeHtml(session.room)} · ${escapeHtml(program.trainer)}</span>
+          <span class="${spotsClass}">${spotsText}</span>
+        </li>
+      `;
+    }).join('');
+    
+    column.innerHTML = `
+      <h3 class="timetable-day-name">${t(`schedule.weekdays.${day}`)}</h3>
+      ${entries.length > 0
+        ? `<ul class="timetable-sessions">${items}</ul>`
+        : `<p class="timetable-empty">${t('schedule.noClasses')}</p>`}
+    `;
+    
+    fragment.appendChild(column);
+  });
+  
+  container.appendChild(fragment);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  WEEKDAYS,
+  isValidTime,
+  isValidSession,
+  getWeekday,
+  getSessionsForDate,
+  getNextSessionDate,
+  getRemainingSpots,
+  getWeeklySchedule,
+  renderTimetable
+};
@@ -0,0 +1,350 @@
+/**
+ * Settings Module
+ * Lets members download their stored data as a JSON file and restore it from one
+ */
+
+import {
+  exportData,
+  importData,
+  prepareImport,
+  getUserPreferences,
+  onStorageChange,
+  DATA_FIELDS,
+  PREFERENCE_KEYS
+} from './storage.js';
+import { t, setLanguage, onLanguageChange, LANGUAGE_NAMES } from './i18n.js';
+import { applyTheme, getThemeMode } from './theme.js';
+import { escapeHtml, toISODate } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  panel: '#settings-panel',
+  summary: '#data-summary',
+  download: '#export-data',
+  fileInput: '#import-file',
+  preview: '#import-preview',
+  status: '#import-status'
+};
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Describe one user preference value in the active language
+ * @param {string} key - Preference key
+ * @param {any} value - Preference value
+ * @returns {string}
+ */
+function describePreference(key, value) {
+  if (typeof value === 'boolean') {
+    return t(value ? 'settings.yes' : 'settings.no');
+  }
+  
+  if (key === 'theme') {
+    return t(`theme.${value}`);
+  }
+  
+  if (key === 'language') {
+    return LANGUAGE_NAMES[value] || String(value);
+  }
+  
+  return String(value);
+}
+
+/**
+ * Get the label of a user preference key (unknown keys are shown as is)
+ * @param {string} key - Preference key
+ * @returns {string}
+ */
+function preferenceLabel(key) {
+  return PREFERENCE_KEYS.includes(key) ? t(`settings.preferences.${key}`) : key;
+}
+
+/**
+ * Describe a stored value in a few words
+ * @param {any} value - Field value
+ * @returns {string}
+ */
+function describeValue(value) {
+  if (value === null || value === undefined) {
+    return t('settings.nothingSaved');
+  }
+  
+  if (Array.isArray(value)) {
+    return t('settings.items', { count: value.length });
+  }
+  
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => typeof item !== 'object')
+      .map(([key, item]) => `${preferenceLabel(key)}: ${describePreference(key, item)}`)
+      .join(', ');
+  }
+  
+  return String(value);
+}
+
+/**
+ * Get a human readable label for a field path such as "bookings[2]"
+ * @param {string} field - Field path
+ * @returns {string}
+ */
+function labelFor(field) {
+  const [base, key] = field.split('.');
+  
+  if (base === 'userPreferences' && key) {
+    return `${t('settings.fields.userPreferences')} › ${preferenceLabel(key)}`;
+  }
+  
+  const name = field.split('[')[0];
+  return DATA_FIELDS.includes(name) ? field.replace(name, t(`settings.fields.${name}`)) : field;
+}
+
+/**
+ * Describe why an import entry was rejected
+ * @param {Object} item - Rejection from prepareImport/importData
+ * @returns {string} e.g. "Bookings[2]: Invalid item"
+ */
+function describeRejection({ field, key, params }) {
+  return `${labelFor(field)}: ${t(`settings.rejected.${key}`, params)}`;
+}
+
+/**
+ * Show a status message
+ * @param {HTMLElement} panel - Settings panel
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showStatus(panel, message, type) {
+  const status = panel.querySelector(SELECTORS.status);
+  if (!status) return;
+  
+  status.textContent = message;
+  status.className = `import-status is-${type}`;
+  status.hidden = !message;
+}
+
+// ========================================
+// DATA DOWNLOAD
+// ========================================
+
+/**
+ * Render a summary of what is currently stored
+ * @param {HTMLElement} panel - Settings panel
+ */
+function renderSummary(panel) {
+  const summary = panel.querySelector(SELECTORS.summary);
+  if (!summary) return;
+  
+  const data = exportData();
+  
+  summary.innerHTML = DATA_FIELDS.map(field => `
+    <div class="data-row">
+      <dt>${t(`settings.fields.${field}`)}</dt>
+      <dd>${escapeHtml(describeValue(data[field]))}</dd>
+    </div>
+  `).join('');
+}
+
+/**
+ * Download all stored data as a JSON file
+ */
+function downloadData() {
+  const json = JSON.stringify(exportData(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `peak-performance-data-${toISODate(new Date())}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ========================================
+// DATA RESTORE
+// ========================================
+
+/**
+ * Read and parse a JSON file
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} Parsed payload
+ */
+async function readJsonFile(file) {
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error(t('settings.fileTooLarge'));
+  }
+  
+  const text = await file.text();
+  
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('settings.invalidJson'));
+  }
+}
+
+/**
+ * Render the import preview with overwrite details and rejected fields
+ * @param {HTMLElement} panel - Settings panel
+ * @param {Object} payload - Parsed file contents
+ */
+function renderPreview(panel, payload) {
+  const preview = panel.querySelector(SELECTORS.preview);
+  if (!preview) return;
+  
+  const { data, rejected } = prepareImport(payload);
+  const current = exportData();
+  const fields = Object.keys(data);
+  
+  if (fields.length === 0) {
+    preview.hidden = true;
+    const reasons = rejected.map(describeRejection).join('; ');
+    showStatus(panel, t('settings.nothingToImport', { reasons }), 'error');
+    return;
+  }
+  
+  const rows = fields.map(field => `
+    <tr>
+      <th scope="row">${escapeHtml(labelFor(field))}</th>
+      <td>${escapeHtml(describeValue(current[field]))}</td>
+      <td>${escapeHtml(describeValue(data[field]))}</td>
+    </tr>
+  `).join('');
+  
+  const rejectedList = rejected.length > 0
+    ? `
+      <p class="import-warning">${t('settings.willSkip')}</p>
+      <ul class="import-rejected">
+        ${rejected.map(item => `<li><strong>${escapeHtml(labelFor(item.field))}</strong>: ${escapeHtml(t(`settings.rejected.${item.key}`, item.params))}</li>`).join('')}
+      </ul>
+    `
+    : '';
+  
+  preview.innerHTML = `
+    <h3 class="settings-subtitle">${t('settings.reviewTitle')}</h3>
+    <p>${t('settings.willOverwrite')}</p>
+    <table class="import-table">
+      <thead>
+        <tr>
+          <th scope="col">${t('settings.columnData')}</th>
+          <th scope="col">${t('settings.columnCurrent')}</th>
+          <th scope="col">${t('settings.columnFile')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${rejectedList}
+    <div class="booking-actions">
+      <button type="button" class="btn btn-outline" data-action="cancel">${t('settings.cancel')}</button>
+      <button type="button" class="btn btn-primary" data-action="confirm">${t('settings.replace')}</button>
+    </div>
+  `;
+  preview.hidden = false;
+  showStatus(panel, '', 'success');
+  
+  preview.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    resetImport(panel);
+  });
+  
+  preview.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+    const result = importData(payload);
+    
+    resetImport(panel);
+    renderSummary(panel);
+    
+    // The restored language and theme apply to this tab right away
+    if (result.imported.includes('userPreferences')) {
+      setLanguage(getUserPreferences().language);
+      applyTheme(getThemeMode());
+    }
+    
+    if (result.imported.length > 0) {
+      const count = result.rejected.length;
+      const skipped = count > 0 ? ` ${t('settings.skipped', { count })}` : '';
+      showStatus(panel, `${t('settings.restored')}${skipped}`, 'success');
+    } else {
+      showStatus(panel, t('settings.nothingImported'), 'error');
+    }
+  });
+  
+  preview.querySelector('[data-action="confirm"]').focus();
+}
+
+/**
+ * Clear the file input and hide the preview
+ * @param {HTMLElement} panel - Settings panel
+ */
+function resetImport(panel) {
+  const fileInput = panel.querySelector(SELECTORS.fileInput);
+  const preview = panel.querySelector(SELECTORS.preview);
+  
+  if (fileInput) fileInput.value = '';
+  if (preview) {
+    preview.hidden = true;
+    preview.innerHTML = '';
+  }
+}
+
+/**
+ * Handle a selected backup file
+ * @param {HTMLElement} panel - Settings panel
+ * @param {File} file - Selected file
+ */
+async function handleFile(panel, file) {
+  if (!file) return;
+  
+  try {
+    const payload = await readJsonFile(file);
+    renderPreview(panel, payload);
+  } catch (error) {
+    resetImport(panel);
+    showStatus(panel, error.message, 'error');
+  }
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Initialize the settings panel
+ */
+export function initializeSettings() {
+  const panel = document.querySelector(SELECTORS.panel);
+  if (!panel) return;
+  
+  renderSummary(panel);
+  
+  // Keep the summary current when another tab changes data or the language switches
+  onStorageChange(() => renderSummary(panel));
+  onLanguageChange(() => renderSummary(panel));
+  
+  const downloadButton = panel.querySelector(SELECTORS.download);
+  if (downloadButton) {
+    downloadButton.addEventListener('click', downloadData);
+  }
+  
+  const fileInput = panel.querySelector(SELECTORS.fileInput);
+  if (fileInput) {
+    fileInput.addEventListener('change', () => handleFile(panel, fileInput.files[0]));
+  }
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  initialize: initializeSettings
+};
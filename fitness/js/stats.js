@@ -0,0 +1,402 @@
+/**
+ * Stats Module
+ * Staff dashboard with the program mix (classes per type, trainer and level)
+ * and the weekly schedule load, drawn as SVG charts with data tables
+ */
+
+import {
+  getClasses,
+  getDataSource,
+  getClassCountByType,
+  getClassCountByTrainer,
+  getClassCountByLevel,
+  getWeeklyMinutes
+} from './fetch.js';
+import { onClassesUpdated, renderDataStatus } from './offline.js';
+import { t, getLanguage, formatDuration, onLanguageChange } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  dashboard: '#stats-dashboard',
+  grid: '#stats-grid',
+  status: '#stats-status',
+  dataStatus: '#data-status'
+};
+
+// Number of --chart-N colors defined in styles.css
+const SERIES_COLORS = 6;
+
+const BAR_CHART = {
+  width: 480,
+  rowHeight: 36,
+  barHeight: 22,
+  labelWidth: 120,
+  valueWidth: 40
+};
+
+// A circle with this radius has a circumference of 100, so dash lengths are percentages
+const DONUT_RADIUS = 15.91549430918954;
+
+// ========================================
+// STATE
+// ========================================
+
+let classes = [];
+let statusKey = null;
+
+// ========================================
+// FORMATTING
+// ========================================
+
+/**
+ * Format a number for the active locale
+ * @param {number} value - Number
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return new Intl.NumberFormat(getLanguage()).format(value);
+}
+
+/**
+ * Format a share of a total as a percentage
+ * @param {number} value - Part
+ * @param {number} total - Whole
+ * @returns {string} e.g. "27 %" / "27%"
+ */
+function formatShare(value, total) {
+  return new Intl.NumberFormat(getLanguage(), { style: 'percent' }).format(total ? value / total : 0);
+}
+
+/**
+ * Turn a { label: count } object into chart entries
+ * @param {Object} counts - Counts keyed by label
+ * @returns {Array} Array of { label, value } objects
+ */
+function toEntries(counts) {
+  return Object.entries(counts).map(([label, value]) => ({ label, value }));
+}
+
+/**
+ * Describe chart entries in one sentence for screen readers
+ * @param {Array} entries - Chart entries
+ * @param {number} total - Sum of all values
+ * @returns {string} e.g. "Strength: 4 (27%), Cardio: 3 (20%)"
+ */
+function describeEntries(entries, total) {
+  return entries
+    .map(({ label, value }) => `${label}: ${formatNumber(value)} (${formatShare(value, total)})`)
+    .join(', ');
+}
+
+// ========================================
+// CHARTS
+// ========================================
+
+/**
+ * Build the accessible name and description of a chart
+ * @param {string} id - Chart id
+ * @param {string} title - Chart title
+ * @param {Array} entries - Chart entries
+ * @param {number} total - Sum of all values
+ * @returns {string} SVG <title> and <desc> markup
+ */
+function buildChartLabel(id, title, entries, total) {
+  return `
+    <title id="${id}-title">${escapeHtml(title)}</title>
+    <desc id="${id}-desc">${escapeHtml(describeEntries(entries, total))}</desc>
+  `;
+}
+
+/**
+ * Build a horizontal bar chart
+ * @param {string} id - Chart id
+ * @param {string} title - Chart title
+ * @param {Array} entries - Chart entries
+ * @returns {string} SVG markup
+ */
+function buildBarChart(id, title, entries) {
+  const { width, rowHeight, barHeight, labelWidth, valueWidth } = BAR_CHART;
+  const height = entries.length * rowHeight;
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  const max = Math.max(...entries.map(entry => entry.value), 1);
+  const trackWidth = width - labelWidth - valueWidth;
+  
+  const rows = entries.map(({ label, value }, index) => {
+    const y = index * rowHeight;
+    const barWidth = Math.max((value / max) * trackWidth, value > 0 ? 2 : 0);
+    const textY = y + rowHeight / 2;
+    
+    return `
+      <g class="chart-series-${(index % SERIES_COLORS) + 1}">
+        <text class="chart-label" x="${labelWidth - 8}" y="${textY}" text-anchor="end" dominant-baseline="middle">${escapeHtml(label)}</text>
+        <rect class="chart-bar" x="${labelWidth}" y="${y + (rowHeight - barHeight) / 2}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="3"></rect>
+        <text class="chart-value" x="${labelWidth + barWidth + 6}" y="${textY}" dominant-baseline="middle">${formatNumber(value)}</text>
+      </g>
+    `;
+  }).join('');
+  
+  return `
+    <svg class="chart chart-bars" viewBox="0 0 ${width} ${height}" role="img"
+      aria-labelledby="${id}-title ${id}-desc" focusable="false">
+      ${buildChartLabel(id, title, entries, total)}
+      ${rows}
+    </svg>
+  `;
+}
+
+/**
+ * Build a donut chart with a legend
+ * @param {string} id - Chart id
+ * @param {string} title - Chart title
+ * @param {Array} entries - Chart entries
+ * @returns {string} SVG and legend markup
+ */
+function buildDonutChart(id, title, entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  let offset = 0;
+  
+  const segments = entries.map(({ value }, index) => {
+    const share = total ? (value / total) * 100 : 0;
+    
+    // Segments start at 12 o'clock (dash offset 25) and run clockwise
+    const segment = `
+      <circle class="chart-segment chart-series-${(index % SERIES_COLORS) + 1}" cx="21" cy="21" r="${DONUT_RADIUS}"
+        stroke-dasharray="${share.toFixed(3)} ${(100 - share).toFixed(3)}"
+        stroke-dashoffset="${(25 - offset).toFixed(3)}"></circle>
+    `;
+    
+    offset += share;
+    return segment;
+  }).join('');
+  
+  // The legend repeats what the chart's description and table already say
+  const legend = entries.map(({ label, value }, index) => `
+    <li class="chart-series-${(index % SERIES_COLORS) + 1}">
+      <span class="chart-swatch"></span>
+      ${escapeHtml(label)} <span class="chart-legend-value">${formatShare(value, total)}</span>
+    </li>
+  `).join('');
+  
+  return `
+    <div class="chart-donut-wrapper">
+      <svg class="chart chart-donut" viewBox="0 0 42 42" role="img"
+        aria-labelledby="${id}-title ${id}-desc" focusable="false">
+        ${buildChartLabel(id, title, entries, total)}
+        <circle class="chart-donut-track" cx="21" cy="21" r="${DONUT_RADIUS}"></circle>
+        ${segments}
+        <text class="chart-donut-total" x="21" y="21" text-anchor="middle" dominant-baseline="central">${formatNumber(total)}</text>
+      </svg>
+      <ul class="chart-legend" aria-hidden="true">${legend}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Build the data table behind a chart
+ * @param {string} title - Chart title (used as caption)
+ * @param {string} labelHeading - Heading of the label column
+ * @param {Array} entries - Chart entries
+ * @returns {string} HTML string
+ */
+function buildDataTable(title, labelHeading, entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  
+  const rows = entries.map(({ label, value }) => `
+    <tr>
+      <th scope="row">${escapeHtml(label)}</th>
+      <td>${formatNumber(value)}</td>
+      <td>${formatShare(value, total)}</td>
+    </tr>
+  `).join('');
+  
+  return `
+    <details class="chart-table">
+      <summary>${t('stats.showTable')}</summary>
+      <table class="stats-table">
+        <caption class="sr-only">${escapeHtml(title)}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${escapeHtml(labelHeading)}</th>
+            <th scope="col">${t('stats.columnClasses')}</th>
+            <th scope="col">${t('stats.columnShare')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">${t('stats.total')}</th>
+            <td>${formatNumber(total)}</td>
+            <td>${formatShare(total, total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </details>
+  `;
+}
+
+// ========================================
+// DASHBOARD
+// ========================================
+
+/**
+ * Build one chart panel
+ * @param {Object} panel - Panel options
+ * @param {string} panel.id - Panel id
+ * @param {string} panel.title - Panel heading
+ * @param {string} panel.labelHeading - Table label column heading
+ * @param {Array} panel.entries - Chart entries
+ * @param {Function} panel.chart - buildBarChart or buildDonutChart
+ * @returns {string} HTML string
+ */
+function buildChartPanel({ id, title, labelHeading, entries, chart }) {
+  return `
+    <section class="stats-panel" aria-labelledby="${id}-heading">
+      <h3 id="${id}-heading" class="stats-panel-title">${escapeHtml(title)}</h3>
+      ${chart(`${id}-chart`, title, entries)}
+      ${buildDataTable(title, labelHeading, entries)}
+    </section>
+  `;
+}
+
+/**
+ * Build the weekly schedule totals panel
+ * @param {Array} data - Array of class objects
+ * @returns {string} HTML string
+ */
+function buildTotalsPanel(data) {
+  const { minutes, sessions } = getWeeklyMinutes(data);
+  
+  return `
+    <section class="stats-panel stats-totals" aria-labelledby="stats-totals-heading">
+      <h3 id="stats-totals-heading" class="stats-panel-title">${t('stats.weeklyTitle')}</h3>
+      <dl class="stats-figures">
+        <div>
+          <dt>${t('stats.weeklyMinutes')}</dt>
+          <dd>${escapeHtml(formatDuration(minutes))}</dd>
+        </div>
+        <div>
+          <dt>${t('stats.weeklySessions')}</dt>
+          <dd>${formatNumber(sessions)}</dd>
+        </div>
+        <div>
+          <dt>${t('stats.programs')}</dt>
+          <dd>${formatNumber(data.length)}</dd>
+        </div>
+      </dl>
+    </section>
+  `;
+}
+
+/**
+ * Render the dashboard for a set of classes
+ * @param {HTMLElement} grid - Panel container
+ * @param {Array} data - Array of class objects
+ */
+export function renderStats(grid, data) {
+  if (!grid) return;
+  
+  grid.innerHTML = [
+    buildTotalsPanel(data),
+    buildChartPanel({
+      id: 'stats-types',
+      title: t('stats.byType'),
+      labelHeading: t('card.type'),
+      entries: toEntries(getClassCountByType(data)),
+      chart: buildDonutChart
+    }),
+    buildChartPanel({
+      id: 'stats-trainers',
+      title: t('stats.byTrainer'),
+      labelHeading: t('card.trainer'),
+      entries: toEntries(getClassCountByTrainer(data)),
+      chart: buildBarChart
+    }),
+    buildChartPanel({
+      id: 'stats-levels',
+      title: t('stats.byLevel'),
+      labelHeading: t('card.level'),
+      entries: toEntries(getClassCountByLevel(data)),
+      chart: buildBarChart
+    })
+  ].join('');
+}
+
+/**
+ * Show a loading or error message above the dashboard
+ * @param {string|null} key - Message key, or null to hide the status
+ */
+function renderStatus(key) {
+  const status = document.querySelector(SELECTORS.status);
+  if (!status) return;
+  
+  statusKey = key;
+  
+  status.textContent = key ? t(key) : '';
+  status.hidden = !key;
+}
+
+/**
+ * Redraw the dashboard from the current data
+ */
+function refreshView() {
+  renderStatus(statusKey);
+  renderStats(document.querySelector(SELECTORS.grid), classes);
+  renderDataStatus(document.querySelector(SELECTORS.dataStatus), getDataSource());
+}
+
+/**
+ * Load class data and recompute the dashboard
+ * Keeps the last good figures on screen when a refresh fails.
+ */
+async function loadStats() {
+  if (classes.length === 0) {
+    renderStatus('stats.loading');
+  }
+  
+  try {
+    classes = await getClasses();
+    statusKey = null;
+  } catch (error) {
+    if (classes.length === 0) {
+      statusKey = 'stats.error';
+    }
+  }
+  
+  refreshView();
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Set up the stats dashboard and keep it current
+ */
+export function initializeStats() {
+  const dashboard = document.querySelector(SELECTORS.dashboard);
+  if (!dashboard) return;
+  
+  loadStats();
+  
+  // Recompute when the service worker caches new data or staff return to the tab
+  onClassesUpdated(loadStats);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') loadStats();
+  });
+  window.addEventListener('online', loadStats);
+  
+  onLanguageChange(refreshView);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  render: renderStats,
+  initialize: initializeStats
+};
@@ -1,8 +1,11 @@
 /**
  * Local Storage Module
  * Handles browser storage operations with error handling and data validation
+ * Falls back from localStorage to sessionStorage to memory when storage is blocked
  */
 
+import { t, DEFAULT_LANGUAGE, isSupportedLanguage } from './i18n.js';
+
 // ========================================
 // CONSTANTS
 // ========================================
@@ -10,70 +13,259 @@
 const STORAGE_KEYS = {
   preferredTraining: 'fitness_preferred_training',
   userPreferences: 'fitness_user_preferences',
-  recentClasses: 'fitness_recent_classes'
+  recentClasses: 'fitness_recent_classes',
+  recentPrograms: 'fitness_recent_programs',
+  dismissedRecommendations: 'fitness_dismissed_recommendations',
+  bookings: 'fitness_bookings',
+  favorites: 'fitness_favorites',
+  formSubmissions: 'fitness_form_submissions',
+  formDrafts: 'fitness_form_drafts',
+  programFilters: 'fitness_program_filters',
+  schemaVersion: 'fitness_schema_version'
+};
+
+// Keys fields were stored under before they moved (read once by the schema migrations)
+const LEGACY_KEYS = {
+  formSubmissions: 'form_submissions'
 };
 
 const MAX_RECENT_ITEMS = 10;
+const MAX_BOOKINGS = 100;
+const MAX_FAVORITES = 100;
+const MAX_DISMISSED = 100;
+export const MAX_FORM_SUBMISSIONS = 50;
+
+// Bump when a stored shape changes and add a matching entry to MIGRATIONS
+const SCHEMA_VERSION = 2;
+
+// User data fields; each maps to the STORAGE_KEYS entry of the same name.
+// Form drafts and program filters are left out on purpose: they're scratch data, not worth a backup.
+export const DATA_FIELDS = [
+  'preferredTraining',
+  'userPreferences',
+  'recentClasses',
+  'recentPrograms',
+  'dismissedRecommendations',
+  'bookings',
+  'favorites',
+  'formSubmissions'
+];
+
+const DEFAULT_PREFERENCES = {
+  theme: 'light',
+  notifications: true,
+  language: DEFAULT_LANGUAGE
+};
+
+const PREFERENCE_VALIDATORS = {
+  theme: value => ['light', 'dark', 'system'].includes(value),
+  notifications: value => typeof value === 'boolean',
+  language: isSupportedLanguage,
+  sort: value => Boolean(value) &&
+    typeof value === 'object' &&
+    typeof value.by === 'string' &&
+    ['asc', 'desc'].includes(value.direction)
+};
+
+// Keys a userPreferences object may hold
+export const PREFERENCE_KEYS = Object.keys(PREFERENCE_VALIDATORS);
 
 // ========================================
-// STORAGE AVAILABILITY CHECK
+// STORAGE BACKENDS
 // ========================================
 
 /**
- * Check if localStorage is available
+ * A storage backend stores serialized strings by key.
+ * @typedef {Object} StorageBackend
+ * @property {string} name - Backend name
+ * @property {boolean} persistent - Whether data survives closing the browser
+ * @property {Function} getItem - (key) => string|null
+ * @property {Function} setItem - (key, value) => void
+ * @property {Function} removeItem - (key) => void
+ * @property {Function} keys - () => Array of keys
+ */
+
+/**
+ * Check if a Web Storage area is usable
+ * Accessing it can throw (sandboxed iframes) and writing can fail (private mode).
+ * @param {string} name - 'localStorage' or 'sessionStorage'
  * @returns {boolean}
  */
-function isLocalStorageAvailable() {
+function isWebStorageAvailable(name) {
   try {
+    const storage = window[name];
     const testKey = '__storage_test__';
-    localStorage.setItem(testKey, 'test');
-    localStorage.removeItem(testKey);
+    storage.setItem(testKey, 'test');
+    storage.removeItem(testKey);
     return true;
   } catch (e) {
-    console.warn('localStorage is not available:', e);
     return false;
   }
 }
 
+/**
+ * Check if localStorage is available
+ * @returns {boolean}
+ */
+function isLocalStorageAvailable() {
+  return isWebStorageAvailable('localStorage');
+}
+
+/**
+ * Wrap a Web Storage area as a backend
+ * @param {string} name - 'localStorage' or 'sessionStorage'
+ * @param {boolean} persistent - Whether data survives closing the browser
+ * @returns {StorageBackend}
+ */
+function createWebStorageBackend(name, persistent) {
+  const storage = window[name];
+  
+  return {
+    name,
+    persistent,
+    getItem: key => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: key => storage.removeItem(key),
+    keys: () => Array.from({ length: storage.length }, (_, index) => storage.key(index))
+  };
+}
+
+/**
+ * Create an in-memory backend that lasts for the page session
+ * @returns {StorageBackend}
+ */
+export function createMemoryBackend() {
+  const store = new Map();
+  
+  return {
+    name: 'memory',
+    persistent: false,
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    keys: () => Array.from(store.keys())
+  };
+}
+
+/**
+ * Pick the best available backend: localStorage, then sessionStorage, then memory
+ * @returns {StorageBackend}
+ */
+function selectBackend() {
+  if (isWebStorageAvailable('localStorage')) {
+    return createWebStorageBackend('localStorage', true);
+  }
+  
+  if (isWebStorageAvailable('sessionStorage')) {
+    console.warn('localStorage is not available, data will only last for this browser session');
+    return createWebStorageBackend('sessionStorage', false);
+  }
+  
+  console.warn('Web storage is not available, data will only last until the page is closed');
+  return createMemoryBackend();
+}
+
+let backend = null;
+
+/**
+ * Get the active backend, selecting it on first use
+ * @returns {StorageBackend}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = selectBackend();
+  }
+  
+  return backend;
+}
+
+/**
+ * Replace the active backend (e.g. with a custom or test implementation)
+ * @param {StorageBackend} customBackend - Backend to use
+ */
+export function setStorageBackend(customBackend) {
+  backend = customBackend;
+}
+
+/**
+ * Check if stored data survives closing the browser
+ * @returns {boolean}
+ */
+export function isPersistent() {
+  return getBackend().persistent;
+}
+
+// ========================================
+// CHANGE EVENTS
+// ========================================
+
+/**
+ * Get the data field name for a storage key
+ * @param {string} key - Storage key
+ * @returns {string|null} Field name or null if the key isn't ours
+ */
+function getFieldForKey(key) {
+  const entry = Object.entries(STORAGE_KEYS).find(([, storageKey]) => storageKey === key);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Listen for app data changed in other tabs or windows
+ * Relies on the `storage` event, which only fires for localStorage
+ * and never in the tab that made the change.
+ * @param {Function} callback - Called with { field, key } (field is null when storage was cleared)
+ * @returns {Function} Function that removes the listener
+ */
+export function onStorageChange(callback) {
+  const handler = (e) => {
+    if (getBackend().name !== 'localStorage') return;
+    
+    // key is null when another tab called localStorage.clear()
+    if (e.key === null) {
+      callback({ field: null, key: null });
+      return;
+    }
+    
+    const field = getFieldForKey(e.key);
+    if (field) {
+      callback({ field, key: e.key });
+    }
+  };
+  
+  window.addEventListener('storage', handler);
+  return () => window.removeEventListener('storage', handler);
+}
+
 // ========================================
 // CORE STORAGE FUNCTIONS
 // ========================================
 
 /**
- * Save data to localStorage
+ * Save data to the active backend
  * @param {string} key - Storage key
  * @param {any} value - Value to store
  * @returns {boolean} Success status
  */
 function setItem(key, value) {
-  if (!isLocalStorageAvailable()) {
-    console.warn('localStorage not available, data will not persist');
-    return false;
-  }
-  
   try {
     const serialized = JSON.stringify(value);
-    localStorage.setItem(key, serialized);
+    getBackend().setItem(key, serialized);
     return true;
   } catch (error) {
-    console.error('Error saving to localStorage:', error);
+    console.error('Error saving to storage:', error);
     return false;
   }
 }
 
 /**
- * Get data from localStorage
+ * Get data from the active backend
  * @param {string} key - Storage key
  * @param {any} defaultValue - Default value if key doesn't exist
  * @returns {any} Retrieved value or default
  */
 function getItem(key, defaultValue = null) {
-  if (!isLocalStorageAvailable()) {
-    return defaultValue;
-  }
-  
   try {
-    const item = localStorage.getItem(key);
+    const item = getBackend().getItem(key);
     
     if (item === null) {
       return defaultValue;
@@ -81,48 +273,139 @@ function getItem(key, defaultValue = null) {
     
     return JSON.parse(item);
   } catch (error) {
-    console.error('Error reading from localStorage:', error);
+    console.error('Error reading from storage:', error);
     return defaultValue;
   }
 }
 
 /**
- * Remove data from localStorage
+ * Remove data from the active backend
  * @param {string} key - Storage key
  * @returns {boolean} Success status
  */
 function removeItem(key) {
-  if (!isLocalStorageAvailable()) {
-    return false;
-  }
-  
   try {
-    localStorage.removeItem(key);
+    getBackend().removeItem(key);
     return true;
   } catch (error) {
-    console.error('Error removing from localStorage:', error);
+    console.error('Error removing from storage:', error);
     return false;
   }
 }
 
 /**
- * Clear all app data from localStorage
+ * Clear all app data from the active backend
  * @returns {boolean} Success status
  */
 function clearAll() {
-  if (!isLocalStorageAvailable()) {
-    return false;
-  }
-  
   try {
     Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key);
+      getBackend().removeItem(key);
     });
     return true;
   } catch (error) {
-    console.error('Error clearing localStorage:', error);
+    console.error('Error clearing storage:', error);
+    return false;
+  }
+}
+
+// ========================================
+// SCHEMA MIGRATIONS
+// ========================================
+
+/**
+ * Migrations keyed by the version they upgrade to.
+ * Each receives the data fields of the previous version and returns the new shape.
+ */
+const MIGRATIONS = {
+  // 0 -> 1: data written before versioning existed
+  1: (data) => ({
+    ...data,
+    userPreferences: data.userPreferences && typeof data.userPreferences === 'object'
+      ? { ...DEFAULT_PREFERENCES, ...data.userPreferences }
+      : data.userPreferences,
+    recentClasses: Array.isArray(data.recentClasses)
+      ? data.recentClasses.filter(item => typeof item === 'string').slice(0, MAX_RECENT_ITEMS)
+      : data.recentClasses,
+    bookings: Array.isArray(data.bookings)
+      ? data.bookings.map(item => (item && typeof item === 'object' && !item.id ? { ...item, id: createId() } : item))
+      : data.bookings,
+    favorites: Array.isArray(data.favorites)
+      ? [...new Set(data.favorites)]
+      : data.favorites
+  }),
+  
+  // 1 -> 2: contact form submissions moved into this module and were
+  // flattened from { data, timestamp } into records with an id
+  2: (data) => ({
+    ...data,
+    formSubmissions: Array.isArray(data.formSubmissions)
+      ? data.formSubmissions
+        .map(upgradeSubmission)
+        .filter(isValidSubmission)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, MAX_FORM_SUBMISSIONS)
+      : data.formSubmissions
+  })
+};
+
+/**
+ * Upgrade data fields from an older schema version to the current one
+ * @param {Object} data - Data fields
+ * @param {number} fromVersion - Version the data was written with
+ * @returns {Object} Migrated data fields
+ */
+export function migrateData(data, fromVersion) {
+  let result = { ...data };
+  
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    result = MIGRATIONS[version](result);
+  }
+  
+  return result;
+}
+
+/**
+ * Migrate stored data to the current schema version
+ * @returns {boolean} Whether a migration ran
+ */
+function runStoredMigrations() {
+  const storedVersion = getItem(STORAGE_KEYS.schemaVersion, 0);
+  
+  if (storedVersion >= SCHEMA_VERSION) {
     return false;
   }
+  
+  const stored = {};
+  DATA_FIELDS.forEach(field => {
+    stored[field] = getItem(STORAGE_KEYS[field]);
+    
+    if (stored[field] === null && LEGACY_KEYS[field]) {
+      stored[field] = getItem(LEGACY_KEYS[field]);
+    }
+  });
+  
+  const migrated = migrateData(stored, storedVersion);
+  
+  DATA_FIELDS.forEach(field => {
+    if (migrated[field] !== null && migrated[field] !== undefined) {
+      setItem(STORAGE_KEYS[field], migrated[field]);
+    }
+  });
+  
+  Object.values(LEGACY_KEYS).forEach(removeItem);
+  
+  setItem(STORAGE_KEYS.schemaVersion, SCHEMA_VERSION);
+  
+  return true;
+}
+
+/**
+ * Get the schema version of stored data
+ * @returns {number}
+ */
+export function getSchemaVersion() {
+  return getItem(STORAGE_KEYS.schemaVersion, 0);
 }
 
 // ========================================
@@ -143,8 +426,6 @@ export function savePreference(type) {
   const success = setItem(STORAGE_KEYS.preferredTraining, type);
   
   if (success) {
-    console.log(`Saved preference: ${type}`);
-    
     // Also add to recent classes for tracking
     addRecentClass(type);
   }
@@ -191,11 +472,7 @@ export function saveUserPreferences(preferences) {
  * @returns {Object} User preferences object
  */
 export function getUserPreferences() {
-  return getItem(STORAGE_KEYS.userPreferences, {
-    theme: 'light',
-    notifications: true,
-    language: 'es'
-  });
+  return getItem(STORAGE_KEYS.userPreferences, { ...DEFAULT_PREFERENCES });
 }
 
 /**
@@ -210,6 +487,33 @@ export function updateUserPreference(key, value) {
   return saveUserPreferences(preferences);
 }
 
+// ========================================
+// PROGRAM FILTERS
+// ========================================
+
+/**
+ * Save the filters last used on the programs page
+ * @param {Object} filters - Filter state
+ * @returns {boolean} Success status
+ */
+export function saveProgramFilters(filters) {
+  if (!filters || typeof filters !== 'object') {
+    console.warn('Invalid program filters provided');
+    return false;
+  }
+  
+  return setItem(STORAGE_KEYS.programFilters, filters);
+}
+
+/**
+ * Get the filters last used on the programs page
+ * @returns {Object|null} Filter state, or null if none were saved
+ */
+export function getProgramFilters() {
+  const filters = getItem(STORAGE_KEYS.programFilters);
+  return filters && typeof filters === 'object' && !Array.isArray(filters) ? filters : null;
+}
+
 // ========================================
 // RECENT CLASSES TRACKING
 // ========================================
@@ -257,52 +561,609 @@ export function clearRecentClasses() {
   return removeItem(STORAGE_KEYS.recentClasses);
 }
 
+/**
+ * Add a program to the recently viewed programs
+ * @param {string} programName - Program name
+ */
+export function addRecentProgram(programName) {
+  if (!programName || typeof programName !== 'string') {
+    return;
+  }
+  
+  const recent = getItem(STORAGE_KEYS.recentPrograms, []).filter(item => item !== programName);
+  recent.unshift(programName);
+  
+  setItem(STORAGE_KEYS.recentPrograms, recent.slice(0, MAX_RECENT_ITEMS));
+}
+
+/**
+ * Get recently viewed programs, newest first
+ * @param {number} limit - Maximum number of items to return
+ * @returns {Array} Array of program names
+ */
+export function getRecentPrograms(limit = MAX_RECENT_ITEMS) {
+  const recent = getItem(STORAGE_KEYS.recentPrograms, []);
+  return Array.isArray(recent)
+    ? recent.filter(name => typeof name === 'string').slice(0, limit)
+    : [];
+}
+
+// ========================================
+// DISMISSED RECOMMENDATIONS
+// ========================================
+
+/**
+ * Get programs the user no longer wants suggested
+ * @returns {Array} Array of program names
+ */
+export function getDismissedRecommendations() {
+  const dismissed = getItem(STORAGE_KEYS.dismissedRecommendations, []);
+  return Array.isArray(dismissed)
+    ? dismissed.filter(name => typeof name === 'string')
+    : [];
+}
+
+/**
+ * Stop suggesting a program
+ * Only the newest MAX_DISMISSED entries are kept.
+ * @param {string} programName - Program name
+ * @returns {boolean} Success status
+ */
+export function dismissRecommendation(programName) {
+  if (!programName || typeof programName !== 'string') {
+    console.warn('Invalid program name provided');
+    return false;
+  }
+  
+  const dismissed = getDismissedRecommendations().filter(name => name !== programName);
+  dismissed.unshift(programName);
+  
+  return setItem(STORAGE_KEYS.dismissedRecommendations, dismissed.slice(0, MAX_DISMISSED));
+}
+
+/**
+ * Suggest every program again
+ * @returns {boolean} Success status
+ */
+export function clearDismissedRecommendations() {
+  return removeItem(STORAGE_KEYS.dismissedRecommendations);
+}
+
+// ========================================
+// BOOKINGS
+// ========================================
+
+/**
+ * Create a unique booking id
+ * @returns {string}
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Validate booking object structure
+ * @param {Object} booking - Booking to validate
+ * @returns {boolean}
+ */
+function isValidBooking(booking) {
+  const requiredFields = ['id', 'program', 'date', 'time', 'name', 'email'];
+  
+  if (!booking || typeof booking !== 'object') {
+    return false;
+  }
+  
+  return requiredFields.every(field => {
+    return typeof booking[field] === 'string' && booking[field].trim() !== '';
+  });
+}
+
+/**
+ * Save a new class booking
+ * Only the newest MAX_BOOKINGS entries are kept.
+ * @param {Object} booking - Booking details
+ * @param {string} booking.program - Program name
+ * @param {string} booking.date - Session date (YYYY-MM-DD)
+ * @param {string} booking.time - Session start time (HH:MM)
+ * @param {string} booking.name - Member name
+ * @param {string} booking.email - Member email
+ * @returns {Object|null} Stored booking or null on failure
+ */
+export function addBooking(booking) {
+  const entry = {
+    ...booking,
+    id: createId(),
+    createdAt: new Date().toISOString()
+  };
+  
+  if (!isValidBooking(entry)) {
+    console.warn('Invalid booking provided');
+    return null;
+  }
+  
+  const bookings = getItem(STORAGE_KEYS.bookings, []);
+  
+  // Prevent double-booking the same session
+  const duplicate = bookings.some(item =>
+    item.program === entry.program &&
+    item.date === entry.date &&
+    item.time === entry.time
+  );
+  
+  if (duplicate) {
+    console.warn('Session already booked');
+    return null;
+  }
+  
+  bookings.push(entry);
+  
+  return setItem(STORAGE_KEYS.bookings, bookings.slice(-MAX_BOOKINGS)) ? entry : null;
+}
+
+/**
+ * Get all bookings sorted by session date
+ * @returns {Array} Array of booking objects
+ */
+export function getBookings() {
+  const bookings = getItem(STORAGE_KEYS.bookings, []);
+  
+  return bookings
+    .filter(isValidBooking)
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+}
+
+/**
+ * Cancel a booking
+ * @param {string} id - Booking id
+ * @returns {boolean} Success status
+ */
+export function cancelBooking(id) {
+  const bookings = getItem(STORAGE_KEYS.bookings, []);
+  const remaining = bookings.filter(item => item.id !== id);
+  
+  if (remaining.length === bookings.length) {
+    return false;
+  }
+  
+  return setItem(STORAGE_KEYS.bookings, remaining);
+}
+
+/**
+ * Check if a program has at least one booking
+ * @param {string} programName - Program name
+ * @returns {boolean}
+ */
+export function isProgramBooked(programName) {
+  return getBookings().some(item => item.program === programName);
+}
+
+// ========================================
+// FAVORITES
+// ========================================
+
+/**
+ * Get favorite program names
+ * @returns {Array} Array of program names
+ */
+export function getFavorites() {
+  const favorites = getItem(STORAGE_KEYS.favorites, []);
+  return Array.isArray(favorites)
+    ? favorites.filter(name => typeof name === 'string')
+    : [];
+}
+
+/**
+ * Check if a program is a favorite
+ * @param {string} programName - Program name
+ * @returns {boolean}
+ */
+export function isFavorite(programName) {
+  return getFavorites().includes(programName);
+}
+
+/**
+ * Add program to favorites
+ * Only the newest MAX_FAVORITES entries are kept.
+ * @param {string} programName - Program name
+ * @returns {boolean} Success status
+ */
+export function addFavorite(programName) {
+  if (!programName || typeof programName !== 'string') {
+    console.warn('Invalid program name provided');
+    return false;
+  }
+  
+  const favorites = getFavorites();
+  
+  if (favorites.includes(programName)) {
+    return true;
+  }
+  
+  favorites.push(programName);
+  return setItem(STORAGE_KEYS.favorites, favorites.slice(-MAX_FAVORITES));
+}
+
+/**
+ * Remove program from favorites
+ * @param {string} programName - Program name
+ * @returns {boolean} Success status
+ */
+export function removeFavorite(programName) {
+  const favorites = getFavorites();
+  return setItem(STORAGE_KEYS.favorites, favorites.filter(name => name !== programName));
+}
+
+/**
+ * Toggle program favorite state
+ * @param {string} programName - Program name
+ * @returns {boolean} New favorite state
+ */
+export function toggleFavorite(programName) {
+  if (isFavorite(programName)) {
+    removeFavorite(programName);
+    return false;
+  }
+  
+  return addFavorite(programName);
+}
+
+// ========================================
+// FORM SUBMISSIONS
+// ========================================
+
+/**
+ * Validate a stored contact form submission
+ * Training interest and message are optional in the form and may be empty.
+ * @param {Object} submission - Submission to validate
+ * @returns {boolean}
+ */
+function isValidSubmission(submission) {
+  if (!submission || typeof submission !== 'object') {
+    return false;
+  }
+  
+  return ['id', 'name', 'email', 'createdAt'].every(field =>
+    typeof submission[field] === 'string' && submission[field].trim() !== ''
+  ) &&
+    ['training', 'message'].every(field => typeof submission[field] === 'string') &&
+    !Number.isNaN(Date.parse(submission.createdAt));
+}
+
+/**
+ * Convert a submission saved by the old inline form script
+ * @param {Object} submission - { data: { name, email, training, message }, timestamp }
+ * @returns {Object} Submission record (other values are returned unchanged)
+ */
+function upgradeSubmission(submission) {
+  if (!submission || typeof submission !== 'object' || !submission.data || 'id' in submission) {
+    return submission;
+  }
+  
+  const { name, email, training, message } = submission.data;
+  
+  return {
+    id: createId(),
+    name: String(name || '').trim(),
+    email: String(email || '').trim(),
+    training: String(training || ''),
+    message: String(message || ''),
+    createdAt: submission.timestamp
+  };
+}
+
+/**
+ * Save a contact form submission
+ * Only the newest MAX_FORM_SUBMISSIONS entries are kept.
+ * @param {Object} submission - Form values
+ * @param {string} submission.name - Member name
+ * @param {string} submission.email - Member email
+ * @param {string} [submission.training] - Preferred training option
+ * @param {string} [submission.message] - Message text
+ * @returns {Object|null} Stored submission or null on failure
+ */
+export function addFormSubmission(submission) {
+  const { name = '', email = '', training = '', message = '' } = submission || {};
+  
+  const entry = {
+    id: createId(),
+    name: String(name).trim(),
+    email: String(email).trim(),
+    training: String(training),
+    message: String(message).trim(),
+    createdAt: new Date().toISOString()
+  };
+  
+  if (!isValidSubmission(entry)) {
+    console.warn('Invalid form submission provided');
+    return null;
+  }
+  
+  const submissions = [entry, ...getFormSubmissions()].slice(0, MAX_FORM_SUBMISSIONS);
+  
+  return setItem(STORAGE_KEYS.formSubmissions, submissions) ? entry : null;
+}
+
+/**
+ * Get contact form submission history
+ * @returns {Array} Array of submission objects, newest first
+ */
+export function getFormSubmissions() {
+  const submissions = getItem(STORAGE_KEYS.formSubmissions, []);
+  
+  return Array.isArray(submissions)
+    ? submissions
+      .filter(isValidSubmission)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    : [];
+}
+
+/**
+ * Get a single contact form submission
+ * @param {string} id - Submission id
+ * @returns {Object|null}
+ */
+export function getFormSubmission(id) {
+  return getFormSubmissions().find(item => item.id === id) || null;
+}
+
+/**
+ * Delete a contact form submission
+ * @param {string} id - Submission id
+ * @returns {boolean} Success status
+ */
+export function deleteFormSubmission(id) {
+  const submissions = getFormSubmissions();
+  const remaining = submissions.filter(item => item.id !== id);
+  
+  if (remaining.length === submissions.length) {
+    return false;
+  }
+  
+  return setItem(STORAGE_KEYS.formSubmissions, remaining);
+}
+
+/**
+ * Delete all contact form submissions
+ * @returns {boolean} Success status
+ */
+export function clearFormSubmissions() {
+  return removeItem(STORAGE_KEYS.formSubmissions);
+}
+
+// ========================================
+// FORM DRAFTS
+// ========================================
+
+/**
+ * Get every saved form draft
+ * @returns {Object} Drafts keyed by form id
+ */
+function getFormDrafts() {
+  const drafts = getItem(STORAGE_KEYS.formDrafts, {});
+  return drafts && typeof drafts === 'object' && !Array.isArray(drafts) ? drafts : {};
+}
+
+/**
+ * Save the unsent contents of a form
+ * @param {string} formId - Draft id (the form's data-autosave value)
+ * @param {Object} values - Field values keyed by field name
+ * @returns {boolean} Success status
+ */
+export function saveFormDraft(formId, values) {
+  if (!formId || !values || typeof values !== 'object') {
+    console.warn('Invalid form draft provided');
+    return false;
+  }
+  
+  const drafts = getFormDrafts();
+  drafts[formId] = { values, savedAt: new Date().toISOString() };
+  return setItem(STORAGE_KEYS.formDrafts, drafts);
+}
+
+/**
+ * Get the saved contents of a form
+ * @param {string} formId - Draft id
+ * @returns {Object|null} Field values keyed by field name, or null if there's no draft
+ */
+export function getFormDraft(formId) {
+  const draft = getFormDrafts()[formId];
+  return draft && draft.values && typeof draft.values === 'object' ? draft.values : null;
+}
+
+/**
+ * Delete the saved contents of a form
+ * @param {string} formId - Draft id
+ * @returns {boolean} Success status
+ */
+export function clearFormDraft(formId) {
+  const drafts = getFormDrafts();
+  
+  if (!(formId in drafts)) {
+    return true;
+  }
+  
+  delete drafts[formId];
+  return Object.keys(drafts).length > 0
+    ? setItem(STORAGE_KEYS.formDrafts, drafts)
+    : removeItem(STORAGE_KEYS.formDrafts);
+}
+
 // ========================================
 // DATA EXPORT/IMPORT
 // ========================================
 
+/**
+ * Check that every array item is a non-empty string
+ * @param {Array} items - Items to check
+ * @returns {number} Index of the first invalid item, or -1
+ */
+function findInvalidString(items) {
+  return items.findIndex(item => typeof item !== 'string' || item.trim() === '');
+}
+
+/**
+ * Validate an import payload field by field
+ * Strings and arrays are accepted or rejected as a whole; user preferences
+ * are checked key by key so one bad setting doesn't discard the others.
+ * Each rejection names the reason as a message key (settings.rejected.*)
+ * with its parameters, so the UI can show it in the active language.
+ * @param {Object} data - Payload (already migrated to the current schema)
+ * @returns {Object} { data: accepted fields, rejected: [{ field, key, params }] }
+ */
+export function validateImportData(data) {
+  const accepted = {};
+  const rejected = [];
+  
+  const reject = (field, key, params = {}) => rejected.push({ field, key, params });
+  
+  if (data.preferredTraining !== undefined && data.preferredTraining !== null) {
+    if (typeof data.preferredTraining === 'string' && data.preferredTraining.trim() !== '') {
+      accepted.preferredTraining = data.preferredTraining;
+    } else {
+      reject('preferredTraining', 'expectedText');
+    }
+  }
+  
+  if (data.userPreferences !== undefined && data.userPreferences !== null) {
+    if (typeof data.userPreferences !== 'object' || Array.isArray(data.userPreferences)) {
+      reject('userPreferences', 'expectedObject');
+    } else {
+      const preferences = {};
+      
+      Object.entries(data.userPreferences).forEach(([key, value]) => {
+        const validator = PREFERENCE_VALIDATORS[key];
+        
+        if (!validator) {
+          reject(`userPreferences.${key}`, 'unknownPreference');
+        } else if (!validator(value)) {
+          reject(`userPreferences.${key}`, 'invalidValue');
+        } else {
+          preferences[key] = value;
+        }
+      });
+      
+      if (Object.keys(preferences).length > 0) {
+        accepted.userPreferences = { ...DEFAULT_PREFERENCES, ...preferences };
+      }
+    }
+  }
+  
+  const lists = [
+    { field: 'recentClasses', max: MAX_RECENT_ITEMS, findInvalid: findInvalidString },
+    { field: 'recentPrograms', max: MAX_RECENT_ITEMS, findInvalid: findInvalidString },
+    { field: 'dismissedRecommendations', max: MAX_DISMISSED, findInvalid: findInvalidString },
+    { field: 'favorites', max: MAX_FAVORITES, findInvalid: findInvalidString },
+    { field: 'bookings', max: MAX_BOOKINGS, findInvalid: items => items.findIndex(item => !isValidBooking(item)) },
+    { field: 'formSubmissions', max: MAX_FORM_SUBMISSIONS, findInvalid: items => items.findIndex(item => !isValidSubmission(item)) }
+  ];
+  
+  lists.forEach(({ field, max, findInvalid }) => {
+    const value = data[field];
+    
+    if (value === undefined || value === null) return;
+    
+    if (!Array.isArray(value)) {
+      reject(field, 'expectedList');
+      return;
+    }
+    
+    if (value.length > max) {
+      reject(field, 'tooManyItems', { count: value.length, max });
+      return;
+    }
+    
+    const invalidIndex = findInvalid(value);
+    if (invalidIndex !== -1) {
+      reject(`${field}[${invalidIndex}]`, 'invalidItem');
+      return;
+    }
+    
+    accepted[field] = value;
+  });
+  
+  return { data: accepted, rejected };
+}
+
 /**
  * Export all user data
  * @returns {Object} All stored user data
  */
 export function exportData() {
   return {
+    schemaVersion: SCHEMA_VERSION,
     preferredTraining: getPreference(),
     userPreferences: getUserPreferences(),
     recentClasses: getRecentClasses(),
+    recentPrograms: getRecentPrograms(),
+    dismissedRecommendations: getDismissedRecommendations(),
+    bookings: getBookings(),
+    favorites: getFavorites(),
+    formSubmissions: getFormSubmissions(),
     exportDate: new Date().toISOString()
   };
 }
 
+/**
+ * Prepare an import payload: check its version, migrate and validate it
+ * @param {Object} data - Data to import
+ * @returns {Object} { data: accepted fields, rejected: [{ field, key, params }] }
+ */
+export function prepareImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, rejected: [{ field: '(root)', key: 'expectedObject', params: {} }] };
+  }
+  
+  const version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  
+  if (!Number.isInteger(version) || version < 0) {
+    return { data: {}, rejected: [{ field: 'schemaVersion', key: 'invalidVersion', params: {} }] };
+  }
+  
+  if (version > SCHEMA_VERSION) {
+    return {
+      data: {},
+      rejected: [{ field: 'schemaVersion', key: 'newerVersion', params: { version, supported: SCHEMA_VERSION } }]
+    };
+  }
+  
+  return validateImportData(migrateData(data, version));
+}
+
 /**
  * Import user data
+ * Valid fields are written even when others are rejected.
  * @param {Object} data - Data to import
- * @returns {boolean} Success status
+ * @returns {Object} { success, imported: [field names], rejected: [{ field, key, params }] }
  */
 export function importData(data) {
-  if (!data || typeof data !== 'object') {
-    console.warn('Invalid data format for import');
-    return false;
-  }
+  const { data: accepted, rejected } = prepareImport(data);
+  const imported = [];
   
   try {
-    if (data.preferredTraining) {
-      savePreference(data.preferredTraining);
-    }
-    
-    if (data.userPreferences) {
-      saveUserPreferences(data.userPreferences);
-    }
+    Object.entries(accepted).forEach(([field, value]) => {
+      if (setItem(STORAGE_KEYS[field], value)) {
+        imported.push(field);
+      } else {
+        rejected.push({ field, key: 'notSaved', params: {} });
+      }
+    });
     
-    if (data.recentClasses && Array.isArray(data.recentClasses)) {
-      setItem(STORAGE_KEYS.recentClasses, data.recentClasses);
+    if (imported.length > 0) {
+      setItem(STORAGE_KEYS.schemaVersion, SCHEMA_VERSION);
     }
-    
-    return true;
   } catch (error) {
     console.error('Error importing data:', error);
-    return false;
   }
+  
+  if (rejected.length > 0) {
+    console.warn('Some imported fields were rejected:', rejected);
+  }
+  
+  return {
+    success: rejected.length === 0 && imported.length > 0,
+    imported,
+    rejected
+  };
 }
 
 // ========================================
@@ -311,36 +1172,35 @@ export function importData(data) {
 
 /**
  * Get storage usage information
- * @returns {Object} Storage info
+ * @returns {Object} Storage info including the active backend
  */
 export function getStorageInfo() {
-  if (!isLocalStorageAvailable()) {
-    return {
-      available: false,
-      used: 0,
-      total: 0
-    };
-  }
+  const active = getBackend();
   
   try {
     // Calculate approximate size
     let totalSize = 0;
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        totalSize += localStorage[key].length + key.length;
-      }
-    }
+    const keys = active.keys();
+    
+    keys.forEach(key => {
+      const value = active.getItem(key) || '';
+      totalSize += value.length + key.length;
+    });
     
     return {
       available: true,
+      backend: active.name,
+      persistent: active.persistent,
       used: totalSize,
       usedKB: (totalSize / 1024).toFixed(2),
-      itemCount: localStorage.length
+      itemCount: keys.length
     };
   } catch (error) {
     console.error('Error getting storage info:', error);
     return {
-      available: true,
+      available: false,
+      backend: active.name,
+      persistent: active.persistent,
       used: 0,
       total: 0
     };
@@ -356,7 +1216,7 @@ export function getStorageInfo() {
  * @returns {boolean} Success status
  */
 export function resetAllData() {
-  const confirmed = confirm('¿Estás seguro de que quieres eliminar todos los datos? Esta acción no se puede deshacer.');
+  const confirmed = confirm(t('storage.resetConfirm'));
   
   if (confirmed) {
     return clearAll();
@@ -380,17 +1240,68 @@ export default {
   getUserPreferences,
   updateUserPreference,
   
+  // Program filters
+  saveProgramFilters,
+  getProgramFilters,
+  
   // Recent history
   addRecentClass,
   getRecentClasses,
   clearRecentClasses,
+  addRecentProgram,
+  getRecentPrograms,
+  
+  // Recommendations
+  getDismissedRecommendations,
+  dismissRecommendation,
+  clearDismissedRecommendations,
+  
+  // Bookings
+  addBooking,
+  getBookings,
+  cancelBooking,
+  isProgramBooked,
+  
+  // Favorites
+  getFavorites,
+  isFavorite,
+  addFavorite,
+  removeFavorite,
+  toggleFavorite,
+  
+  // Form submissions
+  addFormSubmission,
+  getFormSubmissions,
+  getFormSubmission,
+  deleteFormSubmission,
+  clearFormSubmissions,
+  
+  // Form drafts
+  saveFormDraft,
+  getFormDraft,
+  clearFormDraft,
   
   // Data management
   exportData,
   importData,
+  prepareImport,
+  validateImportData,
+  migrateData,
+  getSchemaVersion,
   resetAllData,
   
   // Info
   getStorageInfo,
-  isAvailable: isLocalStorageAvailable
+  isPersistent,
+  isAvailable: isLocalStorageAvailable,
+  
+  // Events
+  onStorageChange,
+  
+  // Backends
+  setStorageBackend,
+  createMemoryBackend
 };
+
+// Upgrade stored shapes as soon as the module loads
+runStoredMigrations();
@@ -0,0 +1,30 @@
+/**
+ * Theme Bootstrap
+ * Classic (non-module) script loaded in <head> so the saved theme is applied
+ * before first paint. js/theme.js takes over once the page modules load.
+ */
+
+(function () {
+  var PREFERENCES_KEY = 'fitness_user_preferences';
+  var mode = 'light';
+  
+  // Same backend order as storage.js: localStorage, then sessionStorage
+  ['localStorage', 'sessionStorage'].some(function (name) {
+    try {
+      var preferences = JSON.parse(window[name].getItem(PREFERENCES_KEY));
+      if (preferences && ['light', 'dark', 'system'].indexOf(preferences.theme) !== -1) {
+        mode = preferences.theme;
+        return true;
+      }
+    } catch (error) {
+      // Storage blocked or corrupt; try the next backend
+    }
+    return false;
+  });
+  
+  var prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  var theme = mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode;
+  
+  document.documentElement.dataset.theme = theme;
+  document.documentElement.dataset.themeMode = mode;
+})();
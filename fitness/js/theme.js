@@ -0,0 +1,185 @@
+/**
+ * Theme Module
+ * Applies the light/dark/system theme preference and renders the header toggle
+ */
+
+import { getUserPreferences, updateUserPreference, onStorageChange } from './storage.js';
+import { t, onLanguageChange } from './i18n.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  headerContent: '.header-content',
+  toggle: '#theme-toggle'
+};
+
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+const THEME_ICONS = {
+  light: '☀',
+  dark: '☾',
+  system: '◐'
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// ========================================
+// THEME STATE
+// ========================================
+
+/**
+ * Get the saved theme mode
+ * @returns {string} 'light', 'dark' or 'system'
+ */
+export function getThemeMode() {
+  const { theme } = getUserPreferences();
+  return THEME_MODES.includes(theme) ? theme : 'light';
+}
+
+/**
+ * Check if the operating system asks for a dark theme
+ * @returns {boolean}
+ */
+function prefersDark() {
+  return Boolean(window.matchMedia && window.matchMedia(DARK_QUERY).matches);
+}
+
+/**
+ * Resolve a mode to the theme that should be shown
+ * @param {string} mode - 'light', 'dark' or 'system'
+ * @returns {string} 'light' or 'dark'
+ */
+export function resolveTheme(mode) {
+  if (mode === 'system') {
+    return prefersDark() ? 'dark' : 'light';
+  }
+  
+  return mode === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * Apply a theme mode to the document
+ * @param {string} mode - 'light', 'dark' or 'system'
+ */
+export function applyTheme(mode) {
+  const root = document.documentElement;
+  
+  root.dataset.theme = resolveTheme(mode);
+  root.dataset.themeMode = mode;
+  
+  updateThemeToggle(mode);
+}
+
+/**
+ * Save and apply a theme mode
+ * @param {string} mode - 'light', 'dark' or 'system'
+ * @returns {boolean} Success status
+ */
+export function setThemeMode(mode) {
+  if (!THEME_MODES.includes(mode)) {
+    console.warn(`Unknown theme mode: ${mode}`);
+    return false;
+  }
+  
+  applyTheme(mode);
+  return updateUserPreference('theme', mode);
+}
+
+// ========================================
+// TOGGLE
+// ========================================
+
+/**
+ * Get the mode that follows the given one (light → dark → system → light)
+ * @param {string} mode - Current mode
+ * @returns {string}
+ */
+function getNextMode(mode) {
+  const index = THEME_MODES.indexOf(mode);
+  return THEME_MODES[(index + 1) % THEME_MODES.length];
+}
+
+/**
+ * Reflect a mode in the header toggle
+ * @param {string} mode - Current mode
+ */
+function updateThemeToggle(mode) {
+  const toggle = document.querySelector(SELECTORS.toggle);
+  if (!toggle) return;
+  
+  const current = t(`theme.${mode}`);
+  const next = t(`theme.${getNextMode(mode)}`).toLowerCase();
+  
+  toggle.innerHTML = `
+    <span class="theme-toggle-icon" aria-hidden="true">${THEME_ICONS[mode]}</span>
+    <span class="theme-toggle-text">${current}</span>
+  `;
+  toggle.setAttribute('aria-label', t('theme.toggleLabel', { current, next }));
+}
+
+/**
+ * Add the theme toggle to the header
+ */
+function renderThemeToggle() {
+  const headerContent = document.querySelector(SELECTORS.headerContent);
+  if (!headerContent || headerContent.querySelector(SELECTORS.toggle)) return;
+  
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.id = 'theme-toggle';
+  toggle.className = 'theme-toggle';
+  
+  toggle.addEventListener('click', () => {
+    setThemeMode(getNextMode(getThemeMode()));
+  });
+  
+  // Keep the toggle next to the menu button on small screens
+  const nav = headerContent.querySelector('nav');
+  headerContent.insertBefore(toggle, nav);
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Initialize theme handling
+ * The saved theme was already applied by theme-init.js before first paint.
+ */
+export function initializeTheme() {
+  renderThemeToggle();
+  applyTheme(getThemeMode());
+  
+  // Follow the operating system while in system mode
+  if (window.matchMedia) {
+    window.matchMedia(DARK_QUERY).addEventListener('change', () => {
+      if (getThemeMode() === 'system') {
+        applyTheme('system');
+      }
+    });
+  }
+  
+  // Pick up theme changes made in another tab
+  onStorageChange(({ field }) => {
+    if (field === 'userPreferences' || field === null) {
+      applyTheme(getThemeMode());
+    }
+  });
+  
+  onLanguageChange(() => updateThemeToggle(getThemeMode()));
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  THEME_MODES,
+  getMode: getThemeMode,
+  resolve: resolveTheme,
+  apply: applyTheme,
+  setMode: setThemeMode,
+  initialize: initializeTheme
+};
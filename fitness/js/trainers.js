@@ -0,0 +1,307 @@
+/**
+ * Trainers Module
+ * Builds the trainer profiles on the about page from trainers.json and links
+ * trainer names elsewhere on the site to those profiles
+ */
+
+import { getTrainers, getClasses, filterByTrainer, getClassCountByTrainer } from './fetch.js';
+import { openModal } from './modal.js';
+import { t, onLanguageChange } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  container: '#trainers',
+  status: '#trainers-status'
+};
+
+const PROFILE_PAGE = 'about.html';
+const PROGRAMS_PAGE = 'programs.html';
+
+// ========================================
+// STATE
+// ========================================
+
+let trainers = [];
+let classes = [];
+let classesFailed = false;
+let statusKey = null;
+
+// ========================================
+// LINKS
+// ========================================
+
+/**
+ * Get the element id of a trainer's profile
+ * @param {string} name - Trainer name as used in classes.json
+ * @returns {string} e.g. "trainer-alex"
+ */
+export function getTrainerId(name) {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  
+  return `trainer-${slug}`;
+}
+
+/**
+ * Get the URL of a trainer's profile
+ * @param {string} name - Trainer name
+ * @returns {string}
+ */
+export function getTrainerProfileUrl(name) {
+  return `${PROFILE_PAGE}#${getTrainerId(name)}`;
+}
+
+/**
+ * Build a link to a trainer's profile
+ * @param {string} name - Trainer name
+ * @returns {string} HTML string
+ */
+export function buildTrainerLink(name) {
+  return `
+    <a href="${getTrainerProfileUrl(name)}" class="trainer-link"
+      aria-label="${escapeHtml(t('trainers.profileLabel', { name }))}">${escapeHtml(name)}</a>
+  `.trim();
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Build the photo (or initial placeholder) of a trainer
+ * @param {Object} trainer - Trainer data
+ * @returns {string} HTML string
+ */
+function buildPhoto(trainer) {
+  const alt = t('trainers.photoAlt', { name: trainer.fullName });
+  
+  if (trainer.photo) {
+    return `<img src="${escapeHtml(trainer.photo)}" alt="${escapeHtml(alt)}" class="trainer-photo" loading="lazy" width="120" height="120">`;
+  }
+  
+  return `<div class="trainer-placeholder" role="img" aria-label="${escapeHtml(alt)}">${escapeHtml(trainer.name.charAt(0))}</div>`;
+}
+
+/**
+ * Build a labelled list of tags
+ * @param {string} label - List heading
+ * @param {Array} items - Tag texts
+ * @param {string} className - List class
+ * @returns {string} HTML string
+ */
+function buildTagList(label, items, className) {
+  return `
+    <h4 class="trainer-list-title">${escapeHtml(label)}</h4>
+    <ul class="${className}">
+      ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Build the list of classes a trainer teaches
+ * @param {Object} trainer - Trainer data
+ * @returns {string} HTML string
+ */
+function buildClassList(trainer) {
+  if (classesFailed) {
+    return `<p class="trainer-classes-empty">${t('trainers.classesUnavailable')}</p>`;
+  }
+  
+  const count = getClassCountByTrainer(classes)[trainer.name] || 0;
+  
+  if (count === 0) {
+    return `<p class="trainer-classes-empty">${t('trainers.noClasses')}</p>`;
+  }
+  
+  const items = filterByTrainer(classes, trainer.name).map(program => {
+    const url = `${PROGRAMS_PAGE}?open=${encodeURIComponent(program.name)}`;
+    return `<li><a href="${url}">${escapeHtml(program.name)}</a> <span class="trainer-class-type">${escapeHtml(program.type)}</span></li>`;
+  }).join('');
+  
+  return `
+    <p class="trainer-class-count">${t('trainers.classCount', { count })}</p>
+    <ul class="trainer-classes">${items}</ul>
+    <a href="${PROGRAMS_PAGE}?trainer=${encodeURIComponent(trainer.name)}" class="trainer-all-classes">
+      ${escapeHtml(t('trainers.viewAll', { name: trainer.name }))}
+    </a>
+  `;
+}
+
+/**
+ * Create a trainer profile card
+ * @param {Object} trainer - Trainer data
+ * @returns {HTMLElement} Card element
+ */
+function createTrainerCard(trainer) {
+  const id = getTrainerId(trainer.name);
+  
+  const card = document.createElement('article');
+  card.className = 'trainer-card';
+  card.id = id;
+  card.setAttribute('role', 'listitem');
+  card.setAttribute('aria-labelledby', `${id}-name`);
+  card.tabIndex = -1;
+  
+  card.innerHTML = `
+    <div class="trainer-image">${buildPhoto(trainer)}</div>
+    <div class="trainer-info">
+      <h3 id="${id}-name" class="trainer-name">${escapeHtml(trainer.fullName)}</h3>
+      <p class="trainer-specialty">${escapeHtml(trainer.role)}</p>
+      <p class="trainer-bio">${escapeHtml(trainer.bio)}</p>
+      ${buildTagList(t('trainers.specialties'), trainer.specialties, 'trainer-specialties')}
+      ${buildTagList(t('trainers.certifications'), trainer.certifications, 'trainer-certifications')}
+      <h4 class="trainer-list-title">${t('trainers.classes')}</h4>
+      ${buildClassList(trainer)}
+    </div>
+  `;
+  
+  return card;
+}
+
+/**
+ * Render trainer profiles
+ * @param {HTMLElement} container - Grid element
+ */
+export function renderTrainers(container) {
+  if (!container) return;
+  
+  const fragment = document.createDocumentFragment();
+  trainers.forEach(trainer => fragment.appendChild(createTrainerCard(trainer)));
+  
+  container.innerHTML = '';
+  container.appendChild(fragment);
+}
+
+/**
+ * Create the short profile shown in a modal
+ * @param {Object} trainer - Trainer data
+ * @returns {HTMLElement} Profile element
+ */
+function createTrainerProfile(trainer) {
+  const profile = document.createElement('div');
+  profile.className = 'trainer-profile';
+  
+  profile.innerHTML = `
+    <div class="trainer-image">${buildPhoto(trainer)}</div>
+    <p class="trainer-specialty">${escapeHtml(trainer.role)}</p>
+    <p class="trainer-bio">${escapeHtml(trainer.bio)}</p>
+    ${buildTagList(t('trainers.specialties'), trainer.specialties, 'trainer-specialties')}
+    ${buildTagList(t('trainers.certifications'), trainer.certifications, 'trainer-certifications')}
+  `;
+  
+  return profile;
+}
+
+/**
+ * Show a trainer's profile in a modal (on top of any open modal)
+ * @param {string} name - Trainer name as used in classes.json
+ * @returns {Promise<boolean>} Whether the profile was shown
+ * @throws {DataLoadError} When trainer profiles can't be loaded
+ */
+export async function openTrainerProfile(name) {
+  if (trainers.length === 0) {
+    trainers = await getTrainers();
+  }
+  
+  const trainer = trainers.find(item => item.name === name);
+  if (!trainer) return false;
+  
+  openModal(trainer.fullName, createTrainerProfile(trainer), {
+    ctaLabel: t('trainers.fullProfile'),
+    onCta: () => {
+      window.location.href = getTrainerProfileUrl(name);
+    }
+  });
+  
+  return true;
+}
+
+/**
+ * Show a loading or error message above the grid
+ * @param {string|null} key - Message key, or null to hide the status
+ */
+function renderStatus(key) {
+  const status = document.querySelector(SELECTORS.status);
+  if (!status) return;
+  
+  statusKey = key;
+  
+  status.textContent = key ? t(key) : '';
+  status.hidden = !key;
+}
+
+/**
+ * Bring the profile named in the URL hash into view
+ * The cards don't exist yet when the browser first handles the hash.
+ */
+function focusLinkedProfile() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  const card = id ? document.getElementById(id) : null;
+  
+  if (card && card.classList.contains('trainer-card')) {
+    card.scrollIntoView({ block: 'start' });
+    card.focus({ preventScroll: true });
+  }
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Load trainers and their classes into the about page
+ */
+export async function initializeTrainers() {
+  const container = document.querySelector(SELECTORS.container);
+  if (!container) return;
+  
+  renderStatus('trainers.loading');
+  container.setAttribute('aria-busy', 'true');
+  
+  onLanguageChange(() => {
+    renderStatus(statusKey);
+    renderTrainers(container);
+  });
+  
+  // Profiles are still worth showing when the class list can't be loaded
+  const [trainerResult, classResult] = await Promise.allSettled([getTrainers(), getClasses()]);
+  
+  container.removeAttribute('aria-busy');
+  
+  if (trainerResult.status === 'rejected') {
+    renderStatus('trainers.error');
+    return;
+  }
+  
+  trainers = trainerResult.value;
+  classes = classResult.status === 'fulfilled' ? classResult.value : [];
+  classesFailed = classResult.status === 'rejected';
+  
+  renderStatus(null);
+  renderTrainers(container);
+  focusLinkedProfile();
+  
+  window.addEventListener('hashchange', focusLinkedProfile);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  getId: getTrainerId,
+  getProfileUrl: getTrainerProfileUrl,
+  buildLink: buildTrainerLink,
+  render: renderTrainers,
+  openProfile: openTrainerProfile,
+  initialize: initializeTrainers
+};
@@ -0,0 +1,186 @@
+/**
+ * URL State Module
+ * Mirrors the programs view (filters, search, sort, open program) in the query string
+ */
+
+import { DEFAULT_FILTERS, DEFAULT_SORT } from './filters.js';
+import { SORT_FIELDS } from './fetch.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const PARAMS = {
+  type: 'type',
+  level: 'level',
+  trainer: 'trainer',
+  minDuration: 'min',
+  maxDuration: 'max',
+  query: 'q',
+  favoritesOnly: 'fav',
+  sort: 'sort',
+  open: 'open'
+};
+
+// Facets edited by typing; their changes replace the current history entry
+// so Back skips the intermediate values (choices and opening a program push)
+export const TYPED_FILTERS = ['query', 'minDuration', 'maxDuration'];
+
+// ========================================
+// PARSING
+// ========================================
+
+/**
+ * Read a numeric query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|null}
+ */
+function readNumber(params, name) {
+  const value = parseInt(params.get(name), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Read a sort parameter such as "duration-desc"
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object|null} Sort options or null if missing/invalid
+ */
+function readSort(params) {
+  const [by, direction = 'asc'] = (params.get(PARAMS.sort) || '').split('-');
+  
+  if (!SORT_FIELDS.includes(by) || !['asc', 'desc'].includes(direction)) {
+    return null;
+  }
+  
+  return { by, direction };
+}
+
+/**
+ * Read view state from a query string
+ * @param {string} search - Query string (defaults to the current URL)
+ * @returns {Object} State with filters, sort (or null) and open program name
+ */
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  
+  return {
+    filters: {
+      type: params.get(PARAMS.type) || DEFAULT_FILTERS.type,
+      level: params.get(PARAMS.level) || DEFAULT_FILTERS.level,
+      trainer: params.get(PARAMS.trainer) || DEFAULT_FILTERS.trainer,
+      minDuration: readNumber(params, PARAMS.minDuration),
+      maxDuration: readNumber(params, PARAMS.maxDuration),
+      query: params.get(PARAMS.query) || DEFAULT_FILTERS.query,
+      favoritesOnly: params.get(PARAMS.favoritesOnly) === '1'
+    },
+    sort: readSort(params),
+    open: params.get(PARAMS.open) || null
+  };
+}
+
+/**
+ * Check if a query string carries any view state
+ * @param {string} search - Query string (defaults to the current URL)
+ * @returns {boolean}
+ */
+export function hasUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return Object.values(PARAMS).some(name => params.has(name));
+}
+
+// ========================================
+// SERIALIZATION
+// ========================================
+
+/**
+ * Build a query string from view state
+ * Default values are omitted to keep shared links short.
+ * @param {Object} state - View state
+ * @param {Object} state.filters - Active filters
+ * @param {Object} state.sort - Active sort options
+ * @param {string|null} state.open - Open program name
+ * @returns {string} Query string including the leading "?" (or empty)
+ */
+export function buildQueryString({ filters = {}, sort = DEFAULT_SORT, open = null }) {
+  const params = new URLSearchParams();
+  
+  ['type', 'level', 'trainer'].forEach(key => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) {
+      params.set(PARAMS[key], filters[key]);
+    }
+  });
+  
+  ['minDuration', 'maxDuration'].forEach(key => {
+    if (Number.isInteger(filters[key])) {
+      params.set(PARAMS[key], String(filters[key]));
+    }
+  });
+  
+  if (filters.query && filters.query.trim()) {
+    params.set(PARAMS.query, filters.query.trim());
+  }
+  
+  if (filters.favoritesOnly) {
+    params.set(PARAMS.favoritesOnly, '1');
+  }
+  
+  if (sort && (sort.by !== DEFAULT_SORT.by || sort.direction !== DEFAULT_SORT.direction)) {
+    params.set(PARAMS.sort, `${sort.by}-${sort.direction}`);
+  }
+  
+  if (open) {
+    params.set(PARAMS.open, open);
+  }
+  
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Write view state to the URL through the History API
+ * @param {Object} state - View state (see buildQueryString)
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.replace] - Replace the current entry instead of pushing
+ * @returns {boolean} Whether the URL changed
+ */
+export function writeUrlState(state, { replace = false } = {}) {
+  const query = buildQueryString(state);
+  
+  if (query === window.location.search) {
+    return false;
+  }
+  
+  const url = `${window.location.pathname}${query}${window.location.hash}`;
+  
+  if (replace) {
+    history.replaceState(state, '', url);
+  } else {
+    history.pushState(state, '', url);
+  }
+  
+  return true;
+}
+
+/**
+ * Listen for back/forward navigation
+ * @param {Function} callback - Called with the state read from the new URL
+ * @returns {Function} Function that removes the listener
+ */
+export function onUrlStateChange(callback) {
+  const handler = () => callback(readUrlState());
+  window.addEventListener('popstate', handler);
+  return () => window.removeEventListener('popstate', handler);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  read: readUrlState,
+  has: hasUrlState,
+  build: buildQueryString,
+  write: writeUrlState,
+  onChange: onUrlStateChange
+};
@@ -0,0 +1,72 @@
+/**
+ * Utilities Module
+ * Shared helpers used across the fitness site modules
+ */
+
+// ========================================
+// STRING HELPERS
+// ========================================
+
+// Characters with a meaning in HTML text or quoted attribute values
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape HTML to prevent XSS
+ * Safe both as element text and inside quoted attribute values.
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Validate email format
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+// ========================================
+// FUNCTION HELPERS
+// ========================================
+
+/**
+ * Delay calls to a function until input settles
+ * @param {Function} fn - Function to debounce
+ * @param {number} wait - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+export function debounce(fn, wait = 250) {
+  let timeoutId = null;
+  
+  return (...args) => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => fn(...args), wait);
+  };
+}
+
+// ========================================
+// DATE HELPERS
+// ========================================
+
+/**
+ * Format a Date as a local ISO date string (YYYY-MM-DD)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export function toISODate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
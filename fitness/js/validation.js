@@ -0,0 +1,519 @@
+/**
+ * Validation Module
+ * Declarative client-side form validation with an error summary and draft autosave
+ *
+ * Forms opt in with `data-validate`. Fields are checked in this order:
+ *   required                       value must not be empty
+ *   type="email"                   value must look like an email address
+ *   data-minlength="2"             minimum number of characters
+ *   data-maxlength="500"           maximum number of characters
+ *   data-pattern="^\d{5}$"         regular expression the value must match
+ *   data-match="email"             value must equal the field with that id
+ *   data-rules="rule other"        custom rules added with registerRule()
+ * Any check's message can be swapped with `data-error-<check>="message.key"`.
+ *
+ * Add `data-autosave="<draft id>"` to a form to keep unsent input between visits.
+ */
+
+import { saveFormDraft, getFormDraft, clearFormDraft } from './storage.js';
+import { t, onLanguageChange } from './i18n.js';
+import { escapeHtml, isValidEmail, debounce } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SELECTORS = {
+  forms: 'form[data-validate]',
+  fields: 'input:not([type="hidden"]):not([type="submit"]), select, textarea',
+  summary: '.form-error-summary',
+  draftNotice: '.form-draft-notice'
+};
+
+const DRAFT_SAVE_DELAY = 400;
+
+// Input types never written to a draft
+const DRAFT_EXCLUDED_TYPES = ['password', 'file', 'hidden', 'submit'];
+
+// Custom rules registered with registerRule(), by name
+const customRules = new Map();
+
+// Compiled data-pattern expressions by source (null when the pattern is invalid)
+const patterns = new Map();
+
+/**
+ * Compile a field's data-pattern
+ * An invalid pattern is reported once and its check skipped, so one typo in
+ * the markup doesn't break validation for the whole form.
+ * @param {HTMLElement} field - Form field
+ * @returns {RegExp|null}
+ */
+function getPattern(field) {
+  const source = field.dataset.pattern;
+  
+  if (!patterns.has(source)) {
+    try {
+      patterns.set(source, new RegExp(`^(?:${source})$`, 'u'));
+    } catch (error) {
+      console.warn(`Ignoring invalid data-pattern on #${field.id || field.name}: ${error.message}`);
+      patterns.set(source, null);
+    }
+  }
+  
+  return patterns.get(source);
+}
+
+/**
+ * Built-in checks; `applies` decides if a field uses the check and `test`
+ * receives the trimmed value (only called for non-empty values, except `required`)
+ */
+const CHECKS = [
+  {
+    name: 'required',
+    applies: field => field.required,
+    test: value => value !== '',
+    message: 'forms.fieldRequired'
+  },
+  {
+    name: 'email',
+    applies: field => field.type === 'email',
+    test: value => isValidEmail(value),
+    message: 'forms.emailInvalid'
+  },
+  {
+    name: 'minlength',
+    applies: field => field.dataset.minlength !== undefined,
+    test: (value, field) => value.length >= Number(field.dataset.minlength),
+    message: 'forms.tooShort',
+    params: field => ({ min: field.dataset.minlength })
+  },
+  {
+    name: 'maxlength',
+    applies: field => field.dataset.maxlength !== undefined,
+    test: (value, field) => value.length <= Number(field.dataset.maxlength),
+    message: 'forms.tooLong',
+    params: field => ({ max: field.dataset.maxlength })
+  },
+  {
+    name: 'pattern',
+    applies: field => field.dataset.pattern !== undefined && getPattern(field) !== null,
+    test: (value, field) => getPattern(field).test(value),
+    message: 'forms.patternMismatch'
+  },
+  {
+    name: 'match',
+    applies: field => field.dataset.match !== undefined,
+    test: (value, field) => {
+      const other = document.getElementById(field.dataset.match);
+      return !other || value === other.value.trim();
+    },
+    message: 'forms.mismatch',
+    params: field => ({ field: getFieldLabel(document.getElementById(field.dataset.match)) })
+  }
+];
+
+// ========================================
+// FIELD ERRORS
+// ========================================
+
+/**
+ * Show form error message
+ * @param {HTMLElement} input - Field element
+ * @param {string} message - Error message
+ */
+export function showFormError(input, message) {
+  const errorId = `${input.id}-error`;
+  let errorElement = document.getElementById(errorId);
+  
+  if (!errorElement) {
+    errorElement = document.createElement('span');
+    errorElement.id = errorId;
+    errorElement.className = 'form-error';
+    errorElement.setAttribute('role', 'alert');
+    input.parentElement.appendChild(errorElement);
+  }
+  
+  errorElement.textContent = message;
+  input.setAttribute('aria-invalid', 'true');
+  input.setAttribute('aria-describedby', errorId);
+}
+
+/**
+ * Clear form error message
+ * @param {HTMLElement} input - Field element
+ */
+export function clearFormError(input) {
+  const errorId = `${input.id}-error`;
+  const errorElement = document.getElementById(errorId);
+  
+  if (errorElement) {
+    errorElement.textContent = '';
+  }
+  
+  input.removeAttribute('aria-invalid');
+  input.removeAttribute('aria-describedby');
+}
+
+// ========================================
+// RULES
+// ========================================
+
+/**
+ * Add a custom rule fields can use with data-rules="<name>"
+ * @param {string} name - Rule name
+ * @param {Function} test - (value, field, form) => boolean, called for non-empty values
+ * @param {string} message - Message key shown when the test fails
+ */
+export function registerRule(name, test, message) {
+  if (!name || typeof test !== 'function') {
+    console.warn('Invalid validation rule provided');
+    return;
+  }
+  
+  customRules.set(name, { name, test, message });
+}
+
+/**
+ * Get the visible label of a field (without the required marker)
+ * @param {HTMLElement} field - Field element
+ * @returns {string}
+ */
+function getFieldLabel(field) {
+  const label = field && field.labels && field.labels.length > 0 ? field.labels[0] : null;
+  return label ? label.textContent.replace('*', '').trim() : (field ? field.name : '');
+}
+
+/**
+ * Get the message for a failed check
+ * @param {HTMLElement} field - Field element
+ * @param {Object} check - Failed check
+ * @returns {string}
+ */
+function getMessage(field, check) {
+  const key = field.getAttribute(`data-error-${check.name}`) || check.message;
+  const params = check.params ? check.params(field) : {};
+  
+  return t(key, { label: getFieldLabel(field), ...params });
+}
+
+/**
+ * Find the first check a field fails
+ * @param {HTMLElement} field - Field element
+ * @returns {string|null} Error message or null if the field is valid
+ */
+export function getFieldError(field) {
+  const value = field.value.trim();
+  
+  const custom = (field.dataset.rules || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(name => {
+      if (!customRules.has(name)) {
+        console.warn(`Unknown validation rule: ${name}`);
+      }
+      return customRules.get(name);
+    })
+    .filter(Boolean)
+    .map(rule => ({ ...rule, applies: () => true, test: (input, target) => rule.test(input, target, target.form) }));
+  
+  const failed = [...CHECKS, ...custom].find(check => {
+    if (!check.applies(field)) return false;
+    
+    // Optional fields left empty skip every other check
+    if (check.name !== 'required' && value === '') return false;
+    
+    return !check.test(value, field);
+  });
+  
+  return failed ? getMessage(field, failed) : null;
+}
+
+/**
+ * Validate a field and show or clear its error
+ * @param {HTMLElement} field - Field element
+ * @returns {boolean} Whether the field is valid
+ */
+export function validateField(field) {
+  const error = getFieldError(field);
+  
+  if (error) {
+    showFormError(field, error);
+  } else {
+    clearFormError(field);
+  }
+  
+  return !error;
+}
+
+/**
+ * Get the fields of a form that take part in validation
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Array} Field elements
+ */
+function getFields(form) {
+  return Array.from(form.querySelectorAll(SELECTORS.fields)).filter(field => !field.disabled && field.id);
+}
+
+/**
+ * Validate every field of a form
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Array} Array of { field, message } for invalid fields, in document order
+ */
+export function validateForm(form) {
+  return getFields(form)
+    .map(field => {
+      const message = getFieldError(field);
+      
+      if (message) {
+        showFormError(field, message);
+      } else {
+        clearFormError(field);
+      }
+      
+      return { field, message };
+    })
+    .filter(({ message }) => message);
+}
+
+// ========================================
+// ERROR SUMMARY
+// ========================================
+
+/**
+ * Show the list of problems at the top of the form
+ * Each entry links to its field.
+ * @param {HTMLFormElement} form - Form element
+ * @param {Array} errors - Array of { field, message }
+ */
+function renderErrorSummary(form, errors) {
+  let summary = form.querySelector(SELECTORS.summary);
+  
+  if (errors.length === 0) {
+    if (summary) summary.remove();
+    return;
+  }
+  
+  if (!summary) {
+    summary = document.createElement('div');
+    summary.className = 'form-error-summary';
+    summary.setAttribute('role', 'alert');
+    form.prepend(summary);
+  }
+  
+  summary.innerHTML = `
+    <p class="form-error-summary-title">${t('forms.summaryTitle', { count: errors.length })}</p>
+    <ul>
+      ${errors.map(({ field, message }) => `
+        <li><a href="#${escapeHtml(field.id)}" data-field="${escapeHtml(field.id)}">${escapeHtml(getFieldLabel(field))}: ${escapeHtml(message)}</a></li>
+      `).join('')}
+    </ul>
+  `;
+  
+  summary.querySelectorAll('a').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      const field = document.getElementById(link.dataset.field);
+      if (field) field.focus();
+    });
+  });
+}
+
+/**
+ * Refresh an open error summary after a field changed
+ * @param {HTMLFormElement} form - Form element
+ */
+function updateErrorSummary(form) {
+  if (!form.querySelector(SELECTORS.summary)) return;
+  
+  const errors = getFields(form)
+    .filter(field => field.getAttribute('aria-invalid') === 'true')
+    .map(field => ({ field, message: getFieldError(field) }))
+    .filter(({ message }) => message);
+  
+  renderErrorSummary(form, errors);
+}
+
+// ========================================
+// DRAFTS
+// ========================================
+
+/**
+ * Get the fields of a form that are saved in drafts
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Array} Field elements
+ */
+function getDraftFields(form) {
+  return Array.from(form.elements).filter(field =>
+    field.name && !DRAFT_EXCLUDED_TYPES.includes(field.type) && field.type !== 'checkbox' && field.type !== 'radio'
+  );
+}
+
+/**
+ * Save the current form contents, or drop the draft when the form is empty
+ * @param {HTMLFormElement} form - Form element
+ */
+function saveDraft(form) {
+  const values = Object.fromEntries(getDraftFields(form).map(field => [field.name, field.value]));
+  const hasContent = Object.values(values).some(value => value.trim() !== '');
+  
+  if (hasContent) {
+    saveFormDraft(form.dataset.autosave, values);
+  } else {
+    clearFormDraft(form.dataset.autosave);
+  }
+}
+
+/**
+ * Show the "draft restored" notice with a discard button
+ * @param {HTMLFormElement} form - Form element
+ */
+function renderDraftNotice(form) {
+  if (form.querySelector(SELECTORS.draftNotice)) return;
+  
+  const notice = document.createElement('div');
+  notice.className = 'form-draft-notice';
+  notice.setAttribute('role', 'status');
+  notice.innerHTML = `
+    <p></p>
+    <button type="button" class="btn-link"></button>
+  `;
+  
+  const translateNotice = () => {
+    notice.querySelector('p').textContent = t('forms.draftRestored');
+    notice.querySelector('button').textContent = t('forms.discardDraft');
+  };
+  
+  translateNotice();
+  const stopTranslating = onLanguageChange(translateNotice);
+  
+  notice.querySelector('button').addEventListener('click', () => {
+    clearFormDraft(form.dataset.autosave);
+    form.reset();
+    getFields(form).forEach(clearFormError);
+    renderErrorSummary(form, []);
+    
+    stopTranslating();
+    notice.remove();
+    
+    const firstField = getFields(form)[0];
+    if (firstField) firstField.focus();
+  });
+  
+  form.prepend(notice);
+}
+
+/**
+ * Fill the form from its saved draft and keep the draft up to date
+ * @param {HTMLFormElement} form - Form element
+ */
+function initializeDraft(form) {
+  const draft = getFormDraft(form.dataset.autosave);
+  
+  if (draft) {
+    let restored = false;
+    
+    getDraftFields(form).forEach(field => {
+      // Never overwrite what the browser already filled in
+      if (typeof draft[field.name] === 'string' && field.value === '') {
+        field.value = draft[field.name];
+        restored = restored || draft[field.name] !== '';
+      }
+    });
+    
+    if (restored) renderDraftNotice(form);
+  }
+  
+  const save = debounce(() => saveDraft(form), DRAFT_SAVE_DELAY);
+  form.addEventListener('input', save);
+  form.addEventListener('change', save);
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Wire validation (and drafts) for one form
+ * @param {HTMLFormElement} form - Form element
+ */
+export function initializeForm(form) {
+  const fields = getFields(form);
+  
+  form.addEventListener('submit', (e) => {
+    const errors = validateForm(form);
+    renderErrorSummary(form, errors);
+    
+    if (errors.length > 0) {
+      e.preventDefault();
+      errors[0].field.focus();
+      return;
+    }
+    
+    // The message is on its way; don't offer it again as a draft
+    if (form.dataset.autosave) {
+      clearFormDraft(form.dataset.autosave);
+    }
+  });
+  
+  fields.forEach(field => {
+    field.addEventListener('blur', () => {
+      validateField(field);
+      updateErrorSummary(form);
+    });
+    
+    // Once a field shows an error, re-check it while the user fixes it
+    field.addEventListener('input', () => {
+      if (field.getAttribute('aria-invalid') !== 'true') return;
+      
+      validateField(field);
+      updateErrorSummary(form);
+    });
+  });
+  
+  // Changing a field re-checks fields that must match it
+  form.querySelectorAll('[data-match]').forEach(field => {
+    const other = document.getElementById(field.dataset.match);
+    if (!other) return;
+    
+    other.addEventListener('input', () => {
+      if (field.value !== '' && field.getAttribute('aria-invalid') === 'true') {
+        validateField(field);
+        updateErrorSummary(form);
+      }
+    });
+  });
+  
+  // Shown errors switch language with the rest of the page
+  onLanguageChange(() => {
+    fields
+      .filter(field => field.getAttribute('aria-invalid') === 'true')
+      .forEach(validateField);
+    updateErrorSummary(form);
+  });
+  
+  if (form.dataset.autosave) {
+    initializeDraft(form);
+  }
+}
+
+/**
+ * Wire every form that opted in with data-validate
+ */
+export function initializeValidation() {
+  document.querySelectorAll(SELECTORS.forms).forEach(initializeForm);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+export default {
+  initialize: initializeValidation,
+  initializeForm,
+  registerRule,
+  validateField,
+  validateForm,
+  getFieldError,
+  showFormError,
+  clearFormError
+};
@@ -0,0 +1,325 @@
+/**
+ * Mock Server
+ * Serves the fitness site plus a small REST API (classes, trainers, bookings)
+ * for local development without network access. Uses only Node built-ins.
+ *
+ * Usage:
+ *   node mock-server.mjs [--port 8080] [--page-size 6] [--delay 0] [--static]
+ *
+ * Pages are served with the data endpoints pointed at /api/classes and
+ * /api/trainers; pass --static to keep the data/*.json files instead.
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read a "--name value" command line option
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const OPTIONS = {
+  port: parseInt(readOption('port', process.env.PORT || '8080'), 10),
+  pageSize: parseInt(readOption('page-size', '6'), 10),
+  delay: parseInt(readOption('delay', '0'), 10),
+  useApi: !process.argv.includes('--static')
+};
+
+const MAX_PAGE_SIZE = 50;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+// <meta> endpoint settings rewritten to the API (see js/config.js)
+const API_ENDPOINTS = {
+  'fitness:classes-endpoint': 'api/classes',
+  'fitness:trainers-endpoint': 'api/trainers'
+};
+
+// ========================================
+// DATA
+// ========================================
+
+const classes = JSON.parse(await readFile(path.join(ROOT, 'data', 'classes.json'), 'utf8'));
+const trainers = JSON.parse(await readFile(path.join(ROOT, 'data', 'trainers.json'), 'utf8'));
+
+// Bookings live in memory and reset when the server restarts
+const bookings = [];
+
+/**
+ * Get trainer profiles with the number of classes each one teaches
+ * @returns {Array} Trainer objects with a `classes` count
+ */
+function getTrainers() {
+  const counts = classes.reduce((acc, item) => {
+    acc[item.trainer] = (acc[item.trainer] || 0) + 1;
+    return acc;
+  }, {});
+  
+  return trainers.map(trainer => ({ ...trainer, classes: counts[trainer.name] || 0 }));
+}
+
+/**
+ * Check a booking payload
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBooking(body) {
+  if (!body || typeof body !== 'object') {
+    return 'Expected a JSON object';
+  }
+  
+  const missing = ['program', 'date', 'time', 'name', 'email']
+    .filter(field => typeof body[field] !== 'string' || !body[field].trim());
+  
+  if (missing.length > 0) {
+    return `Missing or empty fields: ${missing.join(', ')}`;
+  }
+  
+  if (!classes.some(item => item.name === body.program)) {
+    return `Unknown program: ${body.program}`;
+  }
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(body.date) || !/^([01]\d|2[0-3]):[0-5]\d$/.test(body.time)) {
+    return 'Expected date as YYYY-MM-DD and time as HH:MM';
+  }
+  
+  return null;
+}
+
+// ========================================
+// RESPONSES
+// ========================================
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {any} body - Payload (omitted for 204)
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} Parsed body, or undefined if it isn't valid JSON
+ */
+async function readJsonBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// ========================================
+// API ROUTES
+// ========================================
+
+/**
+ * GET /api/classes?page=1&pageSize=6
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res - Response
+ */
+function listClasses(url, res) {
+  const page = parseInt(url.searchParams.get('page') || '1', 10);
+  const pageSize = parseInt(url.searchParams.get('pageSize') || String(OPTIONS.pageSize), 10);
+  
+  if (!(page >= 1) || !(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+    sendJson(res, 400, { error: `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}` });
+    return;
+  }
+  
+  const start = (page - 1) * pageSize;
+  
+  sendJson(res, 200, {
+    data: classes.slice(start, start + pageSize),
+    page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(classes.length / pageSize)),
+    total: classes.length
+  });
+}
+
+/**
+ * Route an /api request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ */
+async function handleApi(req, res, url) {
+  const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+  const bookingMatch = url.pathname.match(/^\/api\/bookings\/([^/]+)$/);
+  
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204);
+  } else if (route === 'GET /api/classes') {
+    listClasses(url, res);
+  } else if (route === 'GET /api/trainers') {
+    sendJson(res, 200, { data: getTrainers() });
+  } else if (route === 'GET /api/bookings') {
+    sendJson(res, 200, { data: bookings });
+  } else if (route === 'POST /api/bookings') {
+    const body = await readJsonBody(req);
+    const error = validateBooking(body);
+    
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+    
+    const duplicate = bookings.some(item =>
+      item.program === body.program && item.date === body.date && item.time === body.time
+    );
+    
+    if (duplicate) {
+      sendJson(res, 409, { error: 'This session is already booked' });
+      return;
+    }
+    
+    const booking = {
+      id: randomUUID(),
+      program: body.program,
+      date: body.date,
+      time: body.time,
+      name: body.name.trim(),
+      email: body.email.trim(),
+      createdAt: new Date().toISOString()
+    };
+    
+    bookings.push(booking);
+    sendJson(res, 201, booking);
+  } else if (bookingMatch && req.method === 'DELETE') {
+    const index = bookings.findIndex(item => item.id === bookingMatch[1]);
+    
+    if (index === -1) {
+      sendJson(res, 404, { error: 'Booking not found' });
+      return;
+    }
+    
+    bookings.splice(index, 1);
+    sendJson(res, 204);
+  } else {
+    sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  }
+}
+
+// ========================================
+// STATIC FILES
+// ========================================
+
+/**
+ * Point the data endpoint <meta> tags of a page at the API
+ * @param {string} html - Page markup
+ * @returns {string}
+ */
+function useApiEndpoints(html) {
+  return Object.entries(API_ENDPOINTS).reduce((page, [name, endpoint]) =>
+    page.replace(new RegExp(`(<meta name="${name}" content=")[^"]*(")`), `$1${endpoint}$2`),
+  html);
+}
+
+/**
+ * Serve a file from the site folder
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ */
+async function serveStatic(res, url) {
+  let pathname;
+  
+  try {
+    pathname = url.pathname === '/' ? '/index.html' : decodeURIComponent(url.pathname);
+  } catch (error) {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request');
+    return;
+  }
+  
+  const filePath = path.join(ROOT, path.normalize(pathname));
+  
+  // Never serve anything outside the site folder
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403).end('Forbidden');
+    return;
+  }
+  
+  try {
+    const extension = path.extname(filePath);
+    let body = await readFile(filePath);
+    
+    if (extension === '.html' && OPTIONS.useApi) {
+      body = useApiEndpoints(body.toString('utf8'));
+    }
+    
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extension] || 'application/octet-stream' });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+  }
+}
+
+// ========================================
+// SERVER
+// ========================================
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  
+  // Simulate a slow network to exercise loading states and timeouts
+  if (OPTIONS.delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, OPTIONS.delay));
+  }
+  
+  try {
+    if (url.pathname.startsWith('/api/')) {
+      await handleApi(req, res, url);
+    } else {
+      await serveStatic(res, url);
+    }
+  } catch (error) {
+    console.error(error);
+    sendJson(res, 500, { error: 'Internal server error' });
+  }
+});
+
+server.listen(OPTIONS.port, () => {
+  const source = OPTIONS.useApi ? '/api/classes' : 'data/classes.json';
+  console.log(`Peak Performance mock server on http://localhost:${OPTIONS.port} (classes from ${source})`);
+});
@@ -0,0 +1,220 @@
+/**
+ * Service Worker
+ * Precaches the site shell for offline use and serves class and trainer
+ * data stale-while-revalidate so cached content shows instantly
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Content hash of the precached site shell (data files excluded, they refresh
+// on their own). test/sw.test.js fails and prints the new value whenever
+// PRECACHE_URLS or a precached file changes, so stale modules can't linger.
+const CACHE_VERSION = '8739684b';
+
+const CACHES = {
+  static: `peak-static-${CACHE_VERSION}`,
+  data: `peak-data-${CACHE_VERSION}`
+};
+
+const DATA_PATH = 'data/classes.json';
+const TRAINERS_PATH = 'data/trainers.json';
+
+// Data files kept in the data cache and refreshed in the background
+const DATA_URLS = [DATA_PATH, TRAINERS_PATH];
+
+// REST sources used when the endpoints point at the API (classes are paginated)
+const API_CLASSES_PATH = '/api/classes';
+const API_TRAINERS_PATH = '/api/trainers';
+
+// Response header carrying when a data response was cached
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'programs.html',
+  'about.html',
+  'settings.html',
+  'stats.html',
+  'form-action.html',
+  'messages.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'images/favicon.png',
+  'js/main.js',
+  'js/booking.js',
+  'js/config.js',
+  'js/fetch.js',
+  'js/filters.js',
+  'js/i18n.js',
+  'js/messages.js',
+  'js/modal.js',
+  'js/offline.js',
+  'js/recommendations.js',
+  'js/roving-focus.js',
+  'js/schedule.js',
+  'js/settings.js',
+  'js/stats.js',
+  'js/storage.js',
+  'js/theme.js',
+  'js/theme-init.js',
+  'js/trainers.js',
+  'js/url-state.js',
+  'js/utils.js',
+  'js/validation.js',
+  TRAINERS_PATH,
+  DATA_PATH
+];
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Copy a response, stamping it with the time it was cached
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>}
+ */
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Tell open pages that fresh class data is in the cache
+ */
+async function notifyDataUpdated() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'classes-updated' }));
+}
+
+// ========================================
+// STRATEGIES
+// ========================================
+
+/**
+ * Stale-while-revalidate for class and trainer data
+ * Answers from the cache when possible and refreshes it in the background.
+ * With `notify`, pages are told when the data actually changed. Each API page
+ * is cached under its own URL.
+ * @param {FetchEvent} event - Fetch event
+ * @param {Object} [options] - Strategy options
+ * @param {boolean} [options.notify=false] - Post 'classes-updated' after a change
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, { notify = false } = {}) {
+  const cache = await caches.open(CACHES.data);
+  const cached = await cache.match(event.request);
+  
+  const revalidate = fetch(event.request).then(async response => {
+    if (!response.ok) return response;
+    
+    const previous = cached ? await cached.clone().text() : null;
+    const current = await response.clone().text();
+    
+    await cache.put(event.request, await stampResponse(response.clone()));
+    
+    if (notify && cached && previous !== current) {
+      await notifyDataUpdated();
+    }
+    
+    return response;
+  });
+  
+  if (cached) {
+    // Keep the worker alive until the cache is refreshed; offline failures are expected
+    event.waitUntil(revalidate.catch(() => {}));
+    return cached;
+  }
+  
+  return revalidate;
+}
+
+/**
+ * Network first for pages so content stays current, cached copy when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Pages are precached without query strings (programs.html?type=Cardio)
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || caches.match('index.html');
+  }
+}
+
+/**
+ * Cache first for the precached site shell
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+}
+
+// ========================================
+// LIFECYCLE
+// ========================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const staticCache = await caches.open(CACHES.static);
+    await staticCache.addAll(PRECACHE_URLS.filter(url => !DATA_URLS.includes(url)));
+    
+    const dataCache = await caches.open(CACHES.data);
+    await Promise.all(DATA_URLS.map(async url => {
+      const response = await fetch(url);
+      if (response.ok) {
+        await dataCache.put(url, await stampResponse(response));
+      }
+    }));
+    
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = Object.values(CACHES);
+    const names = await caches.keys();
+    
+    // Drop caches from previous versions
+    await Promise.all(names
+      .filter(name => name.startsWith('peak-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  
+  // Leave cross-origin requests (fonts) and non-GET requests to the browser
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+  
+  if (url.pathname.endsWith(`/${DATA_PATH}`) || url.pathname.endsWith(API_CLASSES_PATH)) {
+    event.respondWith(staleWhileRevalidate(event, { notify: true }));
+  } else if (url.pathname.endsWith(`/${TRAINERS_PATH}`) || url.pathname.endsWith(API_TRAINERS_PATH)) {
+    // Edited bios reach returning visitors on their next visit
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
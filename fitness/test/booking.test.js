@@ -0,0 +1,99 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+const { document, window } = setupDom({ page: 'programs.html' });
+
+const { initializeModal, openModal, closeAllModals } = await import('../js/modal.js');
+const { startBooking, renderBookings } = await import('../js/booking.js');
+const { addBooking } = await import('../js/storage.js');
+
+initializeModal();
+
+// ========================================
+// HELPERS
+// ========================================
+
+const QUOTED_NAME = `Ana "x" onfocus="alert(1)" O'Neil`;
+
+const PROGRAM = {
+  name: 'Yoga "Flow"',
+  type: 'Flexibility',
+  duration: '60 min',
+  level: 'Beginner',
+  trainer: 'Maria',
+  sessions: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    .map(day => ({ day, time: '09:00', room: 'Studio A', capacity: 20 }))
+};
+
+/**
+ * Submit the booking form with the given contact details
+ * @param {string} name - Name field value
+ * @param {string} email - Email field value
+ */
+function submitForm(name, email) {
+  const form = document.getElementById('booking-form');
+  form.querySelector('#booking-name').value = name;
+  form.querySelector('#booking-email').value = email;
+  form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+// ========================================
+// BOOKING FORM
+// ========================================
+
+describe('booking form', () => {
+  beforeEach(() => {
+    closeAllModals();
+  });
+
+  test('marks invalid fields with the shared form errors', () => {
+    openModal(PROGRAM.name, '');
+    startBooking(PROGRAM);
+
+    submitForm('', 'not-an-email');
+
+    const name = document.getElementById('booking-name');
+    const email = document.getElementById('booking-email');
+
+    assert.equal(name.getAttribute('aria-invalid'), 'true');
+    assert.equal(document.getElementById(name.getAttribute('aria-describedby')).className, 'form-error');
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.equal(document.activeElement, name);
+
+    submitForm('Ana', 'not-an-email');
+
+    assert.equal(name.hasAttribute('aria-invalid'), false);
+    assert.equal(document.getElementById('booking-name-error').textContent, '');
+  });
+
+  test('keeps quoted values intact when going back to the form', () => {
+    openModal(PROGRAM.name, '');
+    startBooking(PROGRAM);
+
+    submitForm(QUOTED_NAME, 'ana@example.com');
+    document.getElementById('booking-back').click();
+
+    const name = document.getElementById('booking-name');
+    assert.equal(name.value, QUOTED_NAME);
+    assert.equal(name.hasAttribute('onfocus'), false);
+  });
+});
+
+// ========================================
+// BOOKINGS LIST
+// ========================================
+
+describe('bookings list', () => {
+  test('program names with quotes stay inside the cancel label', () => {
+    addBooking({ program: PROGRAM.name, date: '2030-05-06', time: '09:00', name: 'Ana', email: 'ana@example.com' });
+
+    const container = document.createElement('ul');
+    document.body.appendChild(container);
+    renderBookings(container);
+
+    const button = container.querySelector('.booking-item button');
+    assert.ok(button.getAttribute('aria-label').includes(PROGRAM.name));
+    assert.equal(button.attributes.length, 3);
+  });
+});
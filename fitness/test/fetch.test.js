@@ -0,0 +1,236 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, createFakeFetch } from './helpers/environment.js';
+
+setupDom();
+
+const {
+  retry,
+  fetchWithTimeout,
+  validateClasses,
+  getClasses,
+  DataLoadError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  ValidationError
+} = await import('../js/fetch.js');
+
+// ========================================
+// HELPERS
+// ========================================
+
+const VALID_CLASS = { name: 'Yoga Flow', type: 'Flexibility', duration: '60 min', level: 'Beginner', trainer: 'Maria' };
+
+/**
+ * Record the delays passed to setTimeout and run the callbacks right away
+ * @returns {Object} { delays, restore }
+ */
+function captureTimers() {
+  const original = globalThis.setTimeout;
+  const delays = [];
+
+  globalThis.setTimeout = (callback, delay, ...args) => {
+    delays.push(delay);
+    return original(callback, 0, ...args);
+  };
+
+  return { delays, restore: () => { globalThis.setTimeout = original; } };
+}
+
+/**
+ * Build a function that fails a number of times before succeeding
+ * @param {number} failures - Failures before success
+ * @param {Error} error - Error to throw
+ * @returns {Function} Async function with a `calls` counter
+ */
+function failTimes(failures, error) {
+  const fn = async () => {
+    fn.calls++;
+    if (fn.calls <= failures) throw error;
+    return 'ok';
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+// ========================================
+// RETRY
+// ========================================
+
+describe('retry', () => {
+  let timers;
+
+  beforeEach(() => {
+    timers = captureTimers();
+  });
+
+  afterEach(() => {
+    timers.restore();
+  });
+
+  test('doubles the delay after each failed attempt', async () => {
+    const fn = failTimes(3, new NetworkError(new Error('offline')));
+
+    assert.equal(await retry(fn, 3, 100), 'ok');
+    assert.equal(fn.calls, 4);
+    assert.deepEqual(timers.delays, [100, 200, 400]);
+  });
+
+  test('throws the last error once retries run out', async () => {
+    const error = new HttpError(503);
+    const fn = failTimes(10, error);
+
+    await assert.rejects(retry(fn, 2, 10), error);
+    assert.equal(fn.calls, 3);
+    assert.deepEqual(timers.delays, [10, 20]);
+  });
+
+  test('does not retry errors flagged as not retryable', async () => {
+    const error = new HttpError(404);
+    const fn = failTimes(10, error);
+
+    await assert.rejects(retry(fn, 3, 10), error);
+    assert.equal(fn.calls, 1);
+    assert.deepEqual(timers.delays, []);
+  });
+
+  test('retries plain errors without a retryable flag', async () => {
+    const fn = failTimes(1, new Error('flaky'));
+
+    assert.equal(await retry(fn, 1, 10), 'ok');
+    assert.equal(fn.calls, 2);
+  });
+});
+
+// ========================================
+// FETCH WITH TIMEOUT
+// ========================================
+
+describe('fetchWithTimeout', () => {
+  test('aborts the request and throws a TimeoutError', async () => {
+    let signal = null;
+
+    globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+      signal = init.signal;
+      signal.addEventListener('abort', () => {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+    });
+
+    await assert.rejects(fetchWithTimeout('data/classes.json', 20), error => {
+      assert.ok(error instanceof TimeoutError);
+      assert.equal(error.code, 'timeout');
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    assert.equal(signal.aborted, true);
+  });
+
+  test('wraps fetch failures in a NetworkError', async () => {
+    const cause = new TypeError('Failed to fetch');
+    globalThis.fetch = async () => {
+      throw cause;
+    };
+
+    await assert.rejects(fetchWithTimeout('data/classes.json', 1000), error => {
+      assert.ok(error instanceof NetworkError);
+      assert.equal(error.cause, cause);
+      return true;
+    });
+  });
+
+  test('resolves with the response when it arrives in time', async () => {
+    globalThis.fetch = createFakeFetch({ 'data/classes.json': [VALID_CLASS] });
+
+    const response = await fetchWithTimeout('data/classes.json', 1000);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), [VALID_CLASS]);
+  });
+});
+
+// ========================================
+// VALIDATION
+// ========================================
+
+describe('validateClasses', () => {
+  test('keeps valid records and reports the dropped ones', () => {
+    const { classes, dropped } = validateClasses([
+      VALID_CLASS,
+      { ...VALID_CLASS, name: 'No Trainer', trainer: '' },
+      null,
+      { ...VALID_CLASS, name: 'Bad Level', level: 3 }
+    ]);
+
+    assert.deepEqual(classes, [VALID_CLASS]);
+    assert.deepEqual(dropped, [
+      { index: 1, name: 'No Trainer', fields: ['trainer'] },
+      { index: 2, name: null, fields: ['(record)'] },
+      { index: 3, name: 'Bad Level', fields: ['level'] }
+    ]);
+  });
+
+  test('accepts valid sessions and drops malformed ones', () => {
+    const session = { day: 'Monday', time: '09:00', room: 'Studio A', capacity: 20 };
+
+    const { classes, dropped } = validateClasses([
+      { ...VALID_CLASS, sessions: [session] },
+      { ...VALID_CLASS, name: 'Bad Session', sessions: [{ ...session, time: '9am' }] },
+      { ...VALID_CLASS, name: 'Not A List', sessions: 'Mondays' }
+    ]);
+
+    assert.equal(classes.length, 1);
+    assert.deepEqual(dropped.map(item => item.fields), [['sessions'], ['sessions']]);
+  });
+
+  test('throws a ValidationError when the data is not an array', () => {
+    assert.throws(() => validateClasses({ data: [] }), ValidationError);
+  });
+
+  test('throws a ValidationError listing the records when none is valid', () => {
+    assert.throws(() => validateClasses([{ name: 'Only Name' }]), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.retryable, false);
+      assert.equal(error.dropped.length, 1);
+      return true;
+    });
+  });
+});
+
+// ========================================
+// GET CLASSES
+// ========================================
+
+describe('getClasses', () => {
+  test('follows every page of a paginated endpoint', async () => {
+    const second = { ...VALID_CLASS, name: 'Spin' };
+
+    globalThis.fetch = createFakeFetch({
+      'api/classes': url => {
+        const page = Number(url.searchParams.get('page') || 1);
+        return new Response(JSON.stringify({ data: [page === 1 ? VALID_CLASS : second], page, totalPages: 2 }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    });
+
+    const classes = await getClasses('api/classes');
+
+    assert.deepEqual(classes.map(item => item.name), ['Yoga Flow', 'Spin']);
+    assert.equal(globalThis.fetch.calls.length, 2);
+  });
+
+  test('rejects non-JSON responses without retrying', async () => {
+    globalThis.fetch = createFakeFetch({
+      'data/classes.json': () => new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } })
+    });
+
+    await assert.rejects(getClasses('data/classes.json'), error => {
+      assert.ok(error instanceof DataLoadError);
+      assert.equal(error.code, 'content-type');
+      return true;
+    });
+    assert.equal(globalThis.fetch.calls.length, 1);
+  });
+});
@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+const { document, window } = setupDom({ page: 'programs.html' });
+
+const { renderFilterControls } = await import('../js/filters.js');
+
+// ========================================
+// HELPERS
+// ========================================
+
+// Values from the data source, quotes included
+const CLASSES = [
+  { name: 'Balance', type: 'Mind "Body" onclick="alert(1)"', duration: '45 min', level: `Level "2"`, trainer: `Bob "The Builder" O'Brien` },
+  { name: 'Spin', type: 'Cardio', duration: '30 min', level: 'Beginner', trainer: 'Maria' }
+];
+
+/**
+ * Render the controls and record every change
+ * @returns {Object} { container, changes }
+ */
+function render() {
+  const container = document.getElementById('filter-controls');
+  const changes = [];
+
+  renderFilterControls(container, CLASSES, {
+    onChange: change => changes.push(change),
+    onClear: () => {},
+    onSortChange: () => {}
+  });
+
+  return { container, changes };
+}
+
+// ========================================
+// QUOTED DATA VALUES
+// ========================================
+
+describe('filter controls with quoted data values', () => {
+  test('type buttons keep the whole value in data-filter', () => {
+    const { container, changes } = render();
+    const button = Array.from(container.querySelectorAll('.filter-btn')).find(item => item.textContent.includes('Mind'));
+
+    assert.equal(button.dataset.filter, CLASSES[0].type);
+    assert.equal(button.hasAttribute('onclick'), false);
+
+    button.click();
+    assert.deepEqual(changes, [{ type: CLASSES[0].type }]);
+  });
+
+  test('select options keep the whole value', () => {
+    const { container, changes } = render();
+    const level = container.querySelector('#filter-level');
+    const trainer = container.querySelector('#filter-trainer');
+
+    level.value = CLASSES[0].level;
+    level.dispatchEvent(new window.Event('change'));
+    trainer.value = CLASSES[0].trainer;
+    trainer.dispatchEvent(new window.Event('change'));
+
+    assert.deepEqual(changes, [{ level: CLASSES[0].level }, { trainer: CLASSES[0].trainer }]);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Test Environment
+ * Loads a page into jsdom and exposes it through the globals the browser
+ * modules expect, with an in-memory localStorage and a fake fetch that
+ * answers from the files on disk (no network access needed)
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+// The fitness site root (this file lives in test/helpers)
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const BASE_URL = 'http://localhost/';
+
+// Window properties the modules use as bare globals
+const GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'history',
+  'localStorage',
+  'sessionStorage',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'HTMLTemplateElement',
+  'DocumentFragment',
+  'Event',
+  'CustomEvent',
+  'KeyboardEvent',
+  'MouseEvent',
+  'FocusEvent',
+  'StorageEvent',
+  'DOMParser',
+  'FileReader',
+  'Blob',
+  'MutationObserver',
+  'getComputedStyle',
+  'requestAnimationFrame',
+  'matchMedia',
+  'confirm',
+  'alert'
+];
+
+// ========================================
+// FAKES
+// ========================================
+
+/**
+ * Create an in-memory implementation of the Web Storage API
+ * @param {Object} [initial] - Initial values by key (non-strings are JSON encoded)
+ * @returns {Storage}
+ */
+export function createFakeStorage(initial = {}) {
+  const store = new Map(Object.entries(initial).map(([key, value]) =>
+    [key, typeof value === 'string' ? value : JSON.stringify(value)]
+  ));
+
+  return {
+    get length() {
+      return store.size;
+    },
+    key: index => Array.from(store.keys())[index] ?? null,
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    clear: () => store.clear()
+  };
+}
+
+/**
+ * Build a JSON response
+ * @param {any} body - Response body
+ * @param {Object} [init] - Response options
+ * @returns {Response}
+ */
+export function jsonResponse(body, init = {}) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+  });
+}
+
+/**
+ * Create a fetch that answers from a route table
+ * Routes map a path (without query string) to a body, or to a function
+ * returning a Response. Paths without a route are read from the site folder;
+ * anything else is a 404. Every call is recorded in `calls`.
+ * @param {Object} [routes] - Responses by path, e.g. { 'data/classes.json': [...] }
+ * @returns {Function} fetch with a `calls` array
+ */
+export function createFakeFetch(routes = {}) {
+  const fakeFetch = async (input, init = {}) => {
+    const url = new URL(String(input), BASE_URL);
+    const key = url.pathname.replace(/^\//, '');
+
+    fakeFetch.calls.push({ url: url.href, path: key, init });
+
+    if (key in routes) {
+      const route = routes[key];
+      return typeof route === 'function' ? route(url, init) : jsonResponse(route);
+    }
+
+    try {
+      return new Response(readFileSync(path.join(ROOT, key)), {
+        status: 200,
+        headers: { 'Content-Type': key.endsWith('.json') ? 'application/json' : 'text/plain' }
+      });
+    } catch (error) {
+      return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    }
+  };
+
+  fakeFetch.calls = [];
+  return fakeFetch;
+}
+
+// ========================================
+// DOM
+// ========================================
+
+/**
+ * Read a file from the site folder
+ * @param {string} file - Path relative to the site root
+ * @returns {string}
+ */
+export function readSiteFile(file) {
+  return readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Fill in browser features jsdom doesn't implement
+ * @param {Window} window - jsdom window
+ */
+function polyfill(window) {
+  const dialog = window.HTMLDialogElement.prototype;
+
+  if (typeof dialog.showModal !== 'function') {
+    dialog.showModal = function showModal() {
+      this.open = true;
+    };
+    dialog.close = function close() {
+      this.open = false;
+    };
+  }
+
+  window.scrollTo = () => {};
+  window.matchMedia = window.matchMedia || (query => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  }));
+}
+
+/**
+ * Load a page (or markup) into jsdom and install it as the global browser
+ * Script tags are stripped, so only the modules a test imports run.
+ * @param {Object} [options] - Options
+ * @param {string} [options.page] - Page file to load, e.g. 'programs.html'
+ * @param {string} [options.html] - Markup to load instead of a page
+ * @param {string} [options.url] - Page URL (defaults to the page's URL)
+ * @param {Object} [options.storage] - Initial localStorage values
+ * @param {Function} [options.fetch] - fetch to install (defaults to createFakeFetch())
+ * @returns {Object} { dom, window, document, localStorage, fetch }
+ */
+export function setupDom({ page = null, html = null, url = null, storage = {}, fetch = createFakeFetch() } = {}) {
+  const markup = (html || (page ? readSiteFile(page) : '<!DOCTYPE html><html><body></body></html>'))
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+
+  const dom = new JSDOM(markup, {
+    url: url || new URL(page || '', BASE_URL).href,
+    pretendToBeVisual: true
+  });
+
+  const { window } = dom;
+  polyfill(window);
+
+  const localStorage = createFakeStorage(storage);
+  Object.defineProperty(window, 'localStorage', { value: localStorage, configurable: true });
+  Object.defineProperty(window, 'sessionStorage', { value: createFakeStorage(), configurable: true });
+
+  window.confirm = () => true;
+  window.alert = () => {};
+
+  GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+
+  globalThis.fetch = fetch;
+
+  return { dom, window, document: window.document, localStorage, fetch };
+}
+
+// ========================================
+// EVENTS & TIMING
+// ========================================
+
+/**
+ * Wait for pending promises and timers
+ * @param {number} [ms] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function tick(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds (e.g. data finished loading)
+ * @param {Function} condition - Returns a truthy value when done
+ * @param {number} [timeout] - Milliseconds before giving up
+ * @returns {Promise<any>} The truthy value
+ * @throws {Error} When the timeout passes first
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const result = condition();
+    if (result) return result;
+    await tick(10);
+  }
+
+  throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+/**
+ * Dispatch a keydown event on the focused element
+ * @param {string} key - Key name, e.g. 'Tab'
+ * @param {Object} [options] - Extra event options (shiftKey...)
+ * @returns {KeyboardEvent} The dispatched event
+ */
+export function pressKey(key, options = {}) {
+  const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  (document.activeElement || document.body).dispatchEvent(event);
+  return event;
+}
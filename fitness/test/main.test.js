@@ -0,0 +1,266 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, createFakeFetch, readSiteFile, pressKey, waitFor } from './helpers/environment.js';
+
+const CLASSES = JSON.parse(readSiteFile('data/classes.json'));
+
+const { document, window } = setupDom({ page: 'programs.html' });
+
+// main.js initializes the page as soon as it is imported
+await import('../js/main.js');
+
+const { t } = await import('../js/i18n.js');
+const { getPreference } = await import('../js/storage.js');
+
+// ========================================
+// HELPERS
+// ========================================
+
+const grid = document.getElementById('programs');
+
+/**
+ * Get the names on the rendered program cards
+ * @returns {Array} Program names in display order
+ */
+function getCardNames() {
+  return Array.from(grid.querySelectorAll('.card')).map(card => card.dataset.program);
+}
+
+/**
+ * Click a type filter button
+ * @param {string} type - Program type, or 'all'
+ */
+function clickTypeFilter(type) {
+  document.querySelector(`#filter-controls .filter-btn[data-filter="${type}"]`).click();
+}
+
+/**
+ * Simulate another tab writing a stored value
+ * @param {string} key - Storage key
+ * @param {any} value - New value
+ */
+function changeInOtherTab(key, value) {
+  const newValue = JSON.stringify(value);
+  window.localStorage.setItem(key, newValue);
+  window.dispatchEvent(new window.StorageEvent('storage', { key, newValue }));
+}
+
+/**
+ * Reload the programs through the retry button with other data
+ * @param {any} body - classes.json response body
+ */
+async function reloadWith(body) {
+  globalThis.fetch = createFakeFetch({ 'data/classes.json': body });
+  document.getElementById('retry-load').click();
+  await waitFor(() => document.getElementById('loading').hidden);
+}
+
+await waitFor(() => grid.querySelectorAll('.card').length > 0);
+
+// ========================================
+// RENDERING
+// ========================================
+
+describe('program rendering', () => {
+  test('renders a card for every class', () => {
+    assert.deepEqual(getCardNames(), CLASSES.map(program => program.name));
+    assert.equal(document.getElementById('loading').hidden, true);
+    assert.equal(document.getElementById('error').hidden, true);
+  });
+
+  test('cards are labelled by their title', () => {
+    const card = grid.querySelector('.card');
+    const title = document.getElementById(card.getAttribute('aria-labelledby'));
+
+    assert.equal(title.textContent, CLASSES[0].name);
+  });
+
+  test('only one card is in the tab order and arrow keys move between cards', () => {
+    const cards = Array.from(grid.querySelectorAll('.card'));
+
+    assert.equal(cards.filter(card => card.tabIndex === 0).length, 1);
+
+    cards[0].focus();
+    pressKey('ArrowRight');
+
+    assert.equal(document.activeElement, cards[1]);
+    assert.equal(cards[1].tabIndex, 0);
+    assert.equal(cards[0].tabIndex, -1);
+  });
+
+  test('the details button opens the program in the modal', () => {
+    grid.querySelector('.card .card-action').click();
+
+    const modal = document.getElementById('modal');
+    assert.equal(modal.open, true);
+    assert.equal(modal.querySelector('.modal-title').textContent, CLASSES[0].name);
+    assert.match(window.location.search, /open=/);
+
+    modal.querySelector('.modal-close').click();
+    assert.equal(modal.open, false);
+  });
+});
+
+// ========================================
+// FILTERING
+// ========================================
+
+describe('program filtering', () => {
+  test('a type filter shows only matching programs and announces the result', () => {
+    const cardio = CLASSES.filter(program => program.type === 'Cardio').map(program => program.name);
+
+    clickTypeFilter('Cardio');
+
+    assert.deepEqual(getCardNames(), cardio);
+    assert.equal(
+      document.querySelector('#filter-controls .filter-btn[data-filter="Cardio"]').getAttribute('aria-pressed'),
+      'true'
+    );
+    assert.match(window.location.search, /type=Cardio/);
+
+    const status = document.getElementById('programs-status').textContent;
+    assert.ok(status.includes(String(cardio.length)), status);
+  });
+
+  test('typing a search replaces the history entry, choosing a type adds one', async () => {
+    const search = document.getElementById('filter-search');
+    const entries = window.history.length;
+
+    search.value = 'yo';
+    search.dispatchEvent(new window.Event('input'));
+    await waitFor(() => window.location.search.includes('q=yo'));
+
+    search.value = 'yoga';
+    search.dispatchEvent(new window.Event('input'));
+    await waitFor(() => window.location.search.includes('q=yoga'));
+
+    assert.equal(window.history.length, entries);
+
+    clickTypeFilter('Flexibility');
+    assert.equal(window.history.length, entries + 1);
+
+    document.getElementById('filter-clear').click();
+  });
+
+  test('clearing the filters shows every program again', () => {
+    clickTypeFilter('Cardio');
+    document.getElementById('filter-clear').click();
+
+    assert.equal(getCardNames().length, CLASSES.length);
+    assert.equal(window.location.search, '');
+  });
+});
+
+// ========================================
+// LOAD STATES
+// ========================================
+
+describe('load states', () => {
+  test('invalid records are dropped and listed as warnings', async () => {
+    await reloadWith([...CLASSES.slice(0, 2), { name: 'Broken', type: 'Cardio' }]);
+
+    assert.equal(getCardNames().length, 2);
+
+    const warnings = document.getElementById('data-warnings');
+    assert.equal(warnings.hidden, false);
+    assert.equal(warnings.querySelectorAll('li').length, 1);
+  });
+
+  test('data without any valid class shows the error state', async () => {
+    await reloadWith([{ name: 'Broken' }]);
+
+    assert.equal(document.getElementById('error').hidden, false);
+    assert.equal(document.getElementById('error-reason').textContent, t('errors.validation'));
+  });
+
+  test('retrying after an error loads the programs again', async () => {
+    await reloadWith(CLASSES);
+
+    assert.equal(document.getElementById('error').hidden, true);
+    assert.equal(getCardNames().length, CLASSES.length);
+  });
+});
+
+// ========================================
+// UNTRUSTED DATA
+// ========================================
+
+describe('program names from the data source', () => {
+  const QUOTED = { ...CLASSES[0], name: 'Core "Power" onclick="alert(1)" Class' };
+
+  test('names with quotes stay inside the card attributes', async () => {
+    await reloadWith([QUOTED, ...CLASSES.slice(1, 3)]);
+
+    const card = grid.querySelector('.card');
+    const favorite = card.querySelector('.favorite-btn');
+
+    assert.equal(card.dataset.program, QUOTED.name);
+    assert.equal(favorite.dataset.program, QUOTED.name);
+    assert.equal(favorite.hasAttribute('onclick'), false);
+    assert.ok(favorite.getAttribute('aria-label').includes(QUOTED.name));
+    assert.ok(card.querySelector('.card-action').getAttribute('aria-label').includes(QUOTED.name));
+
+    favorite.click();
+    assert.equal(favorite.getAttribute('aria-pressed'), 'true');
+  });
+});
+
+// ========================================
+// CROSS-TAB SYNC
+// ========================================
+
+describe('cross-tab sync', () => {
+  before(async () => {
+    await reloadWith(CLASSES);
+  });
+
+  beforeEach(() => {
+    document.getElementById('filter-clear').click();
+  });
+
+  test('filters changed in another tab are applied', () => {
+    const level = CLASSES[0].level;
+
+    changeInOtherTab('fitness_program_filters', { type: 'all', level, query: '' });
+
+    assert.deepEqual(
+      getCardNames(),
+      CLASSES.filter(program => program.level === level).map(program => program.name)
+    );
+    assert.match(window.location.search, /level=/);
+  });
+
+  test('opening a program saves its type as the preferred training and keeps the filters', () => {
+    grid.querySelector('.card .card-action').click();
+    document.querySelector('#modal .modal-close').click();
+
+    assert.equal(getPreference(), CLASSES[0].type);
+    assert.equal(getCardNames().length, CLASSES.length);
+  });
+
+  test('a preferred training saved in another tab is applied while no filters were saved', () => {
+    window.localStorage.removeItem('fitness_program_filters');
+    changeInOtherTab('fitness_preferred_training', 'Cardio');
+
+    assert.deepEqual(
+      getCardNames(),
+      CLASSES.filter(program => program.type === 'Cardio').map(program => program.name)
+    );
+  });
+
+  test('saved filters win over a preferred training saved in another tab', () => {
+    changeInOtherTab('fitness_preferred_training', 'Cardio');
+
+    assert.equal(getCardNames().length, CLASSES.length);
+  });
+
+  test('the last filters are restored when the programs load again', async () => {
+    clickTypeFilter('Cardio');
+    await reloadWith(CLASSES);
+
+    assert.deepEqual(
+      getCardNames(),
+      CLASSES.filter(program => program.type === 'Cardio').map(program => program.name)
+    );
+  });
+});
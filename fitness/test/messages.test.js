@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+// Saved (or imported) submissions are user input, quotes included
+const SUBMISSION = {
+  id: 'abc" onclick="alert(1)',
+  name: 'Ana "Quote" onmouseover="alert(1)"',
+  email: 'ana@example.com',
+  training: 'yoga',
+  message: `It's "great" <b>really</b>`,
+  createdAt: '2024-01-02T10:00:00.000Z'
+};
+
+const { document } = setupDom({
+  page: 'messages.html',
+  storage: {
+    fitness_schema_version: 2,
+    fitness_form_submissions: [SUBMISSION]
+  }
+});
+
+const { initializeMessages } = await import('../js/messages.js');
+
+// ========================================
+// MY MESSAGES
+// ========================================
+
+describe('my messages', () => {
+  test('renders user input as text and keeps attributes intact', () => {
+    initializeMessages();
+
+    const item = document.querySelector('#my-messages .message-item');
+    const heading = item.querySelector('h3');
+
+    assert.equal(heading.id, `message-${SUBMISSION.id}`);
+    assert.equal(item.querySelector('time').getAttribute('datetime'), SUBMISSION.createdAt);
+    assert.equal(item.querySelector('.message-text').textContent, SUBMISSION.message);
+    assert.ok(item.querySelector('.message-meta').textContent.includes(SUBMISSION.name));
+    assert.equal(item.querySelectorAll('[onclick], [onmouseover], b').length, 0);
+  });
+
+  test('deleting a message with an unusual id removes it', () => {
+    document.querySelector('#my-messages .message-delete').click();
+
+    assert.equal(document.querySelectorAll('#my-messages .message-item').length, 0);
+    assert.ok(document.querySelector('#my-messages .message-empty'));
+  });
+});
@@ -0,0 +1,198 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey, tick } from './helpers/environment.js';
+
+const { document } = setupDom({ page: 'programs.html' });
+
+const {
+  initializeModal,
+  openModal,
+  closeModal,
+  closeAllModals,
+  isModalOpen,
+  addModalAction
+} = await import('../js/modal.js');
+
+initializeModal();
+
+// ========================================
+// HELPERS
+// ========================================
+
+const baseModal = document.getElementById('modal');
+
+/**
+ * Add a button to the page that can open a modal
+ * @param {string} label - Button text
+ * @returns {HTMLButtonElement} Focused button
+ */
+function focusOpener(label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  document.querySelector('main').appendChild(button);
+  button.focus();
+  return button;
+}
+
+/**
+ * Build content with a couple of focusable controls
+ * @returns {HTMLElement}
+ */
+function createFormContent() {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = '<label>Name <input id="field-name"></label><a href="#terms" id="terms-link">Terms</a>';
+  return wrapper;
+}
+
+beforeEach(() => {
+  closeAllModals();
+});
+
+afterEach(() => {
+  closeAllModals();
+});
+
+// ========================================
+// FOCUS TRAP
+// ========================================
+
+describe('focus trap', () => {
+  test('moves focus into the modal once it opens', async () => {
+    focusOpener('Open');
+    openModal('Yoga Flow', createFormContent());
+
+    await tick(120);
+
+    assert.equal(document.activeElement, baseModal.querySelector('.modal-close'));
+  });
+
+  test('Tab on the last control wraps to the first', () => {
+    openModal('Yoga Flow', createFormContent());
+
+    const cta = baseModal.querySelector('.modal-cta');
+    cta.focus();
+    const event = pressKey('Tab');
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.activeElement, baseModal.querySelector('.modal-close'));
+  });
+
+  test('Shift+Tab on the first control wraps to the last', () => {
+    openModal('Yoga Flow', createFormContent());
+
+    baseModal.querySelector('.modal-close').focus();
+    const event = pressKey('Tab', { shiftKey: true });
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.activeElement, baseModal.querySelector('.modal-cta'));
+  });
+
+  test('skips a hidden call-to-action button', () => {
+    openModal('Yoga Flow', createFormContent(), { hideCta: true });
+
+    document.getElementById('terms-link').focus();
+    pressKey('Tab');
+
+    assert.equal(document.activeElement, baseModal.querySelector('.modal-close'));
+  });
+
+  test('Tab between inner controls is left to the browser', () => {
+    openModal('Yoga Flow', createFormContent());
+
+    document.getElementById('field-name').focus();
+    const event = pressKey('Tab');
+
+    assert.equal(event.defaultPrevented, false);
+  });
+
+  test('pulls focus back when it escaped to the page', () => {
+    openModal('Yoga Flow', createFormContent());
+
+    focusOpener('Behind');
+    pressKey('Tab');
+
+    assert.ok(baseModal.contains(document.activeElement));
+  });
+});
+
+// ========================================
+// CLOSING & STACKING
+// ========================================
+
+describe('closing and stacking', () => {
+  test('Escape closes the modal and restores focus to the opener', () => {
+    const opener = focusOpener('Details');
+    let closed = 0;
+
+    openModal('Yoga Flow', 'Details', { onClose: () => closed++ });
+    baseModal.querySelector('.modal-close').focus();
+    pressKey('Escape');
+
+    assert.equal(isModalOpen(), false);
+    assert.equal(baseModal.open, false);
+    assert.equal(document.activeElement, opener);
+    assert.equal(closed, 1);
+  });
+
+  test('a second modal stacks on top and Escape only closes the top one', () => {
+    openModal('Yoga Flow', createFormContent());
+    const inner = baseModal.querySelector('.modal-cta');
+    inner.focus();
+
+    const top = openModal('Maria', 'Trainer profile', { hideCta: true });
+
+    assert.notEqual(top.element, baseModal);
+    assert.equal(top.element.open, true);
+
+    top.element.querySelector('.modal-close').focus();
+    pressKey('Tab');
+    assert.ok(top.element.contains(document.activeElement));
+
+    pressKey('Escape');
+
+    assert.equal(top.element.isConnected, false);
+    assert.equal(baseModal.open, true);
+    assert.equal(document.activeElement, inner);
+  });
+
+  test('closing a lower modal also closes the ones above it', () => {
+    openModal('Yoga Flow', 'Details');
+    const top = openModal('Maria', 'Trainer profile');
+
+    closeModal(baseModal);
+
+    assert.equal(isModalOpen(), false);
+    assert.equal(top.element.isConnected, false);
+  });
+
+  test('actions are removed when the modal opens again', () => {
+    let clicks = 0;
+
+    openModal('Yoga Flow', 'Details', { actions: [{ label: 'Share', onClick: () => clicks++, keepOpen: true }] });
+    addModalAction('Save', () => clicks++);
+
+    const actions = baseModal.querySelectorAll('.modal-action');
+    assert.equal(actions.length, 2);
+
+    actions[0].click();
+    assert.equal(baseModal.open, true);
+    actions[1].click();
+    assert.equal(baseModal.open, false);
+    assert.equal(clicks, 2);
+
+    openModal('HIIT Blast', 'Details');
+    assert.equal(baseModal.querySelectorAll('.modal-action').length, 0);
+  });
+
+  test('accepts template content', () => {
+    const template = document.createElement('template');
+    template.innerHTML = '<p class="from-template">Bring a mat</p>';
+
+    openModal('Yoga Flow', template);
+    openModal('HIIT Blast', template);
+
+    assert.equal(document.querySelectorAll('.from-template').length, 2);
+    assert.equal(template.content.childNodes.length, 1);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, createFakeFetch, readSiteFile, waitFor } from './helpers/environment.js';
+
+const QUOTED = { name: 'Core "Power" onclick="alert(1)"', type: 'Strength', duration: '45 min', level: 'Beginner', trainer: 'Alex' };
+const OTHER = { name: 'Spin', type: 'Cardio', duration: '30 min', level: 'Beginner', trainer: 'Maria' };
+
+// Point the homepage at a REST backend the way mock-server.mjs does
+const html = readSiteFile('index.html').replace(
+  /(<meta name="fitness:classes-endpoint" content=")[^"]*(")/,
+  '$1api/classes$2'
+);
+
+const { document, fetch } = setupDom({
+  html,
+  url: 'http://localhost/index.html',
+  fetch: createFakeFetch({ 'api/classes': { data: [QUOTED, OTHER], page: 1, totalPages: 1 } })
+});
+
+const { initializeRecommendations } = await import('../js/recommendations.js');
+
+initializeRecommendations();
+
+await waitFor(() => document.querySelector('#recommendations .recommendation-card'));
+
+// ========================================
+// HOMEPAGE RECOMMENDATIONS
+// ========================================
+
+describe('homepage recommendations', () => {
+  test('load classes from the configured endpoint', () => {
+    assert.deepEqual(fetch.calls.map(call => call.path), ['api/classes']);
+    assert.equal(document.getElementById('recommendations-section').hidden, false);
+  });
+
+  test('keep quoted program names inside their attributes', () => {
+    const card = Array.from(document.querySelectorAll('.recommendation-card'))
+      .find(item => item.dataset.program === QUOTED.name);
+    const view = card.querySelector('.recommendation-view');
+
+    assert.equal(card.querySelector('.recommendation-name').textContent, QUOTED.name);
+    assert.equal(new URL(view.href).searchParams.get('open'), QUOTED.name);
+    assert.ok(view.getAttribute('aria-label').includes(QUOTED.name));
+    assert.ok(card.querySelector('.recommendation-dismiss').getAttribute('aria-label').includes(QUOTED.name));
+    assert.equal(card.querySelectorAll('[onclick]').length, 0);
+  });
+});
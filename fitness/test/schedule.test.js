@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+const { document } = setupDom({ page: 'programs.html' });
+
+const { renderTimetable } = await import('../js/schedule.js');
+
+// ========================================
+// TIMETABLE
+// ========================================
+
+describe('renderTimetable', () => {
+  const PROGRAM = {
+    name: 'Spin "Max"',
+    type: 'Cardio" onmouseover="alert(1)',
+    duration: '45 min',
+    level: 'Beginner',
+    trainer: 'Maria',
+    sessions: [{ day: 'Monday', time: '07:00', room: 'Studio "B"', capacity: 10 }]
+  };
+
+  test('puts each session under its weekday', () => {
+    const container = document.getElementById('timetable');
+    renderTimetable(container, [PROGRAM]);
+
+    const days = container.querySelectorAll('.timetable-day');
+    assert.equal(days.length, 7);
+    assert.equal(days[0].querySelectorAll('.timetable-session').length, 1);
+    assert.equal(days[1].querySelector('.timetable-empty') !== null, true);
+  });
+
+  test('keeps quoted data values inside their attribute', () => {
+    const container = document.getElementById('timetable');
+    renderTimetable(container, [PROGRAM]);
+
+    const session = container.querySelector('.timetable-session');
+
+    assert.equal(session.dataset.type, PROGRAM.type);
+    assert.equal(session.hasAttribute('onmouseover'), false);
+    assert.equal(session.querySelector('.timetable-name').textContent, PROGRAM.name);
+  });
+});
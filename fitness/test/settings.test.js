@@ -0,0 +1,92 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, waitFor } from './helpers/environment.js';
+
+const { document, window } = setupDom({ page: 'settings.html' });
+
+const { initializeSettings } = await import('../js/settings.js');
+const { getLanguage } = await import('../js/i18n.js');
+
+// ========================================
+// HELPERS
+// ========================================
+
+const panel = document.getElementById('settings-panel');
+const fileInput = document.getElementById('import-file');
+const status = document.getElementById('import-status');
+const preview = document.getElementById('import-preview');
+
+/**
+ * Pick a backup file in the import input
+ * @param {any} payload - File contents (serialized as JSON)
+ */
+function chooseFile(payload) {
+  const json = JSON.stringify(payload);
+  const file = { name: 'backup.json', size: json.length, text: async () => json };
+
+  Object.defineProperty(fileInput, 'files', { value: [file], configurable: true });
+  fileInput.dispatchEvent(new window.Event('change'));
+}
+
+initializeSettings();
+
+// ========================================
+// IMPORT MESSAGES
+// ========================================
+
+describe('import messages in the active language', () => {
+  beforeEach(() => {
+    status.hidden = true;
+    preview.hidden = true;
+  });
+
+  test('the stored preferences are described with translated names', () => {
+    const summary = panel.querySelector('#data-summary').textContent;
+
+    assert.ok(summary.includes('Tema: Claro'), summary);
+    assert.ok(summary.includes('Notificaciones: Sí'), summary);
+    assert.ok(summary.includes('Idioma: Español'), summary);
+  });
+
+  test('a file that cannot be imported explains why', async () => {
+    chooseFile({ schemaVersion: 99, favorites: ['Spin'] });
+
+    await waitFor(() => !status.hidden);
+
+    assert.ok(
+      status.textContent.includes('Creado por una versión más reciente (99, compatible: 2)'),
+      status.textContent
+    );
+  });
+
+  test('skipped entries are listed with translated reasons', async () => {
+    chooseFile({ schemaVersion: 2, favorites: ['Spin'], userPreferences: { theme: 'neon' }, bookings: 'none' });
+
+    await waitFor(() => !preview.hidden);
+
+    const reasons = Array.from(preview.querySelectorAll('.import-rejected li')).map(item => item.textContent);
+    assert.deepEqual(reasons, [
+      'Preferencias › Tema: Valor no válido',
+      'Reservas: Se esperaba una lista'
+    ]);
+  });
+});
+
+// ========================================
+// RESTORE
+// ========================================
+
+describe('restoring a backup', () => {
+  test('applies the restored language and theme to the open page', async () => {
+    preview.hidden = true;
+    chooseFile({ schemaVersion: 2, userPreferences: { theme: 'dark', language: 'en' } });
+
+    await waitFor(() => !preview.hidden);
+    preview.querySelector('[data-action="confirm"]').click();
+
+    assert.equal(getLanguage(), 'en');
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.equal(status.textContent, 'Your data was restored.');
+    assert.ok(panel.querySelector('#data-summary').textContent.includes('Theme: Dark'));
+  });
+});
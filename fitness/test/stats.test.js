@@ -0,0 +1,37 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, createFakeFetch, readSiteFile, waitFor } from './helpers/environment.js';
+
+const CLASSES = [
+  { name: 'Spin', type: 'Cardio', duration: '30 min', level: 'Beginner', trainer: 'Maria' },
+  { name: 'Lift', type: 'Strength', duration: '60 min', level: 'Advanced', trainer: 'Alex' }
+];
+
+// Point the dashboard at a REST backend the way mock-server.mjs does
+const html = readSiteFile('stats.html').replace(
+  /(<meta name="fitness:classes-endpoint" content=")[^"]*(")/,
+  '$1api/classes$2'
+);
+
+const { document, fetch } = setupDom({
+  html,
+  url: 'http://localhost/stats.html',
+  fetch: createFakeFetch({ 'api/classes': { data: CLASSES, page: 1, totalPages: 1 } })
+});
+
+const { initializeStats } = await import('../js/stats.js');
+
+// ========================================
+// STATS DASHBOARD
+// ========================================
+
+describe('stats dashboard', () => {
+  test('loads classes from the configured endpoint', async () => {
+    initializeStats();
+
+    await waitFor(() => document.querySelector('#stats-grid svg'));
+
+    assert.deepEqual(fetch.calls.map(call => call.path), ['api/classes']);
+    assert.equal(document.getElementById('stats-status').hidden, true);
+  });
+});
@@ -0,0 +1,183 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+// Data saved before schema versions existed, including a submission in the
+// shape of the old inline contact form script
+const { localStorage } = setupDom({
+  storage: {
+    fitness_favorites: ['Yoga Flow', 'Yoga Flow', 'HIIT Blast'],
+    form_submissions: [
+      { data: { name: 'Ana', email: 'ana@example.com', training: 'yoga', message: 'Hola' }, timestamp: '2024-01-02T10:00:00.000Z' }
+    ]
+  }
+});
+
+// The migrations run on import, on every first visit; record what they log
+const logged = [];
+const originalLog = console.log;
+console.log = (...args) => logged.push(args.join(' '));
+
+const storage = await import('../js/storage.js');
+
+console.log = originalLog;
+
+// ========================================
+// HELPERS
+// ========================================
+
+const BOOKING = {
+  id: 'b1',
+  program: 'Yoga Flow',
+  date: '2030-05-06',
+  time: '09:00',
+  name: 'Ana',
+  email: 'ana@example.com'
+};
+
+/**
+ * Read a raw stored value
+ * @param {string} key - Storage key
+ * @returns {any} Parsed value
+ */
+function readStored(key) {
+  return JSON.parse(localStorage.getItem(key));
+}
+
+// ========================================
+// STORED MIGRATIONS
+// ========================================
+
+describe('stored data migrations', () => {
+  test('upgrade unversioned data when the module loads', () => {
+    assert.equal(storage.getSchemaVersion(), 2);
+    assert.equal(storage.isPersistent(), true);
+
+    assert.deepEqual(storage.getFavorites(), ['Yoga Flow', 'HIIT Blast']);
+
+    const [submission] = storage.getFormSubmissions();
+    assert.equal(submission.name, 'Ana');
+    assert.equal(submission.createdAt, '2024-01-02T10:00:00.000Z');
+    assert.ok(submission.id);
+
+    assert.equal(localStorage.getItem('form_submissions'), null);
+  });
+
+  test('upgrade without logging to the console', () => {
+    assert.deepEqual(logged, []);
+  });
+});
+
+// ========================================
+// EXPORT / IMPORT
+// ========================================
+
+describe('export and import', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('an export can be imported back unchanged', () => {
+    storage.savePreference('strength');
+    storage.updateUserPreference('theme', 'dark');
+    storage.addRecentClass('HIIT Blast');
+    storage.addFavorite('Yoga Flow');
+    storage.addBooking({ program: 'Yoga Flow', date: '2030-05-06', time: '09:00', name: 'Ana', email: 'ana@example.com' });
+
+    const exported = JSON.parse(JSON.stringify(storage.exportData()));
+    assert.equal(exported.schemaVersion, 2);
+
+    localStorage.clear();
+    const result = storage.importData(exported);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rejected, []);
+
+    const reimported = storage.exportData();
+    delete exported.exportDate;
+    delete reimported.exportDate;
+    assert.deepEqual(reimported, exported);
+  });
+
+  test('long favorite and booking lists can still be imported back', () => {
+    for (let i = 0; i < 105; i++) {
+      storage.addFavorite(`Program ${i}`);
+      storage.addBooking({ ...BOOKING, program: `Program ${i}` });
+    }
+
+    assert.equal(storage.getFavorites().length, 100);
+    assert.equal(storage.getFavorites()[99], 'Program 104');
+    assert.equal(storage.getBookings().length, 100);
+
+    const exported = JSON.parse(JSON.stringify(storage.exportData()));
+    localStorage.clear();
+
+    assert.deepEqual(storage.importData(exported).rejected, []);
+  });
+
+  test('writes valid fields and reports the rejected ones', () => {
+    const result = storage.importData({
+      schemaVersion: 2,
+      favorites: ['Spin'],
+      bookings: [BOOKING, { ...BOOKING, id: 'b2', email: '' }],
+      userPreferences: { theme: 'neon', notifications: false, fontSize: 'xl' }
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.imported, ['userPreferences', 'favorites']);
+    assert.deepEqual(result.rejected.map(item => item.field), [
+      'userPreferences.theme',
+      'userPreferences.fontSize',
+      'bookings[1]'
+    ]);
+
+    assert.deepEqual(storage.getFavorites(), ['Spin']);
+    assert.deepEqual(storage.getBookings(), []);
+    assert.equal(storage.getUserPreferences().theme, 'light');
+    assert.equal(storage.getUserPreferences().notifications, false);
+  });
+
+  test('migrates backups made with an older schema', () => {
+    const result = storage.importData({
+      schemaVersion: 1,
+      formSubmissions: [
+        { data: { name: 'Luis', email: 'luis@example.com', training: '', message: '' }, timestamp: '2024-03-01T08:00:00.000Z' }
+      ]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(readStored('fitness_schema_version'), 2);
+    assert.equal(storage.getFormSubmissions()[0].email, 'luis@example.com');
+  });
+
+  test('refuses backups from a newer schema', () => {
+    const result = storage.importData({ schemaVersion: 99, favorites: ['Spin'] });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.imported, []);
+    assert.deepEqual(result.rejected, [{ field: 'schemaVersion', key: 'newerVersion', params: { version: 99, supported: 2 } }]);
+    assert.equal(localStorage.getItem('fitness_favorites'), null);
+  });
+
+  test('rejects payloads that are not objects', () => {
+    assert.deepEqual(storage.prepareImport([1, 2]).rejected, [{ field: '(root)', key: 'expectedObject', params: {} }]);
+    assert.deepEqual(storage.prepareImport({ schemaVersion: 'two' }).rejected[0].field, 'schemaVersion');
+  });
+});
+
+// ========================================
+// BACKENDS
+// ========================================
+
+describe('storage backends', () => {
+  test('a memory backend keeps data without touching localStorage', () => {
+    localStorage.clear();
+    storage.setStorageBackend(storage.createMemoryBackend());
+
+    storage.addFavorite('Spin');
+
+    assert.deepEqual(storage.getFavorites(), ['Spin']);
+    assert.equal(storage.isPersistent(), false);
+    assert.equal(localStorage.length, 0);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { ROOT, readSiteFile } from './helpers/environment.js';
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Evaluate sw.js and read its cache configuration
+ * @returns {Object} { CACHE_VERSION, PRECACHE_URLS, DATA_URLS }
+ */
+function loadWorkerConfig() {
+  const context = vm.createContext({
+    self: { addEventListener() {}, location: new URL('http://localhost/') }
+  });
+
+  return vm.runInContext(
+    `${readSiteFile('sw.js')}\n({ CACHE_VERSION, PRECACHE_URLS, DATA_URLS });`,
+    context
+  );
+}
+
+/**
+ * Hash the precached site shell: every URL and its file contents
+ * Data files are left out, they are refreshed stale-while-revalidate.
+ * @param {Array} urls - PRECACHE_URLS
+ * @param {Array} dataUrls - DATA_URLS
+ * @returns {string} First 8 hex digits of the SHA-256
+ */
+function hashShell(urls, dataUrls) {
+  const hash = createHash('sha256');
+
+  urls.filter(url => !dataUrls.includes(url)).forEach(url => {
+    hash.update(`${url}\0`);
+    hash.update(readFileSync(path.join(ROOT, url === './' ? 'index.html' : url)));
+    hash.update('\0');
+  });
+
+  return hash.digest('hex').slice(0, 8);
+}
+
+// ========================================
+// CACHE VERSION
+// ========================================
+
+describe('service worker cache version', () => {
+  test('matches the precached files', () => {
+    const { CACHE_VERSION, PRECACHE_URLS, DATA_URLS } = loadWorkerConfig();
+    const expected = hashShell(PRECACHE_URLS, DATA_URLS);
+
+    assert.equal(
+      CACHE_VERSION,
+      expected,
+      `Precached files changed: set CACHE_VERSION in sw.js to '${expected}'`
+    );
+  });
+});
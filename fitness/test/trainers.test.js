@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, createFakeFetch, waitFor } from './helpers/environment.js';
+
+// Names and specialties from the data source, quotes included
+const TRAINER = {
+  name: `Bob "B" O'Brien`,
+  fullName: 'Bob "The Builder" onclick="alert(1)" O\'Brien',
+  role: 'Strength coach',
+  bio: 'Builds strength.',
+  specialties: ['Power "lifting"'],
+  certifications: ['NSCA'],
+  photo: 'images/bob" onerror="alert(1).jpg'
+};
+
+const PROGRAM = { name: 'Iron "Hour"', type: 'Strength', duration: '60 min', level: 'Advanced', trainer: TRAINER.name };
+
+const { document } = setupDom({
+  page: 'about.html',
+  fetch: createFakeFetch({ 'data/trainers.json': [TRAINER], 'data/classes.json': [PROGRAM] })
+});
+
+const { buildTrainerLink, initializeTrainers } = await import('../js/trainers.js');
+
+// ========================================
+// TRAINER PROFILES
+// ========================================
+
+describe('trainer profiles with quoted data values', () => {
+  test('profile links keep the name inside the label', () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = buildTrainerLink(TRAINER.name);
+
+    const link = wrapper.querySelector('a');
+    assert.equal(link.textContent, TRAINER.name);
+    assert.ok(link.getAttribute('aria-label').includes(TRAINER.name));
+    assert.equal(link.attributes.length, 3);
+  });
+
+  test('profile cards keep names, photos and specialties intact', async () => {
+    await initializeTrainers();
+
+    const card = await waitFor(() => document.querySelector('.trainer-card'));
+    const photo = card.querySelector('.trainer-photo');
+
+    assert.equal(card.querySelector('.trainer-name').textContent, TRAINER.fullName);
+    assert.equal(photo.getAttribute('src'), TRAINER.photo);
+    assert.ok(photo.getAttribute('alt').includes(TRAINER.fullName));
+    assert.equal(photo.hasAttribute('onerror'), false);
+    assert.equal(card.querySelector('.trainer-specialties li').textContent, TRAINER.specialties[0]);
+    assert.equal(card.querySelector('.trainer-classes a').textContent, PROGRAM.name);
+    assert.ok(card.querySelector('.trainer-all-classes').textContent.includes(TRAINER.name));
+    assert.equal(card.querySelectorAll('[onclick], [onerror]').length, 0);
+  });
+});
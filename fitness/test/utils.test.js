@@ -0,0 +1,19 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml } from '../js/utils.js';
+
+describe('escapeHtml', () => {
+  test('escapes markup characters', () => {
+    assert.equal(escapeHtml('<b>Tom & Jerry</b>'), '&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+  });
+
+  test('escapes quotes so values stay inside their attribute', () => {
+    assert.equal(escapeHtml(`Ana "The Rock" O'Neil`), 'Ana &quot;The Rock&quot; O&#39;Neil');
+  });
+
+  test('turns missing values into an empty string', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(42), '42');
+  });
+});
@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/environment.js';
+
+// Field ids and labels with quotes, as a form might have
+const { document, window } = setupDom({
+  html: `<!DOCTYPE html><html><body>
+    <form id="signup" data-validate novalidate>
+      <label for='nick"name'>Nick "name" <span>*</span></label>
+      <input id='nick"name' name="nick" required>
+      <label for="email">Email</label>
+      <input id="email" name="email" type="email">
+      <button type="submit">Send</button>
+    </form>
+    <form id="postal" data-validate novalidate>
+      <label for="zip">Postal code</label>
+      <input id="zip" name="zip" data-pattern="\\d{5">
+      <label for="city">City</label>
+      <input id="city" name="city" required>
+      <button type="submit">Send</button>
+    </form>
+  </body></html>`
+});
+
+const { initializeValidation } = await import('../js/validation.js');
+
+initializeValidation();
+
+// ========================================
+// ERROR SUMMARY
+// ========================================
+
+describe('error summary', () => {
+  test('links to fields whose id and label contain quotes', () => {
+    const form = document.getElementById('signup');
+    const nick = document.getElementById('nick"name');
+
+    document.getElementById('email').value = 'not-an-email';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    const links = form.querySelectorAll('.form-error-summary a');
+    assert.equal(links.length, 2);
+    assert.equal(links[0].dataset.field, nick.id);
+    assert.equal(links[0].getAttribute('href'), `#${nick.id}`);
+    assert.ok(links[0].textContent.startsWith('Nick "name":'), links[0].textContent);
+    assert.equal(links[1].textContent.split(':')[0], 'Email');
+
+    document.getElementById('email').focus();
+    links[0].click();
+    assert.equal(document.activeElement, nick);
+  });
+});
+
+// ========================================
+// PATTERNS
+// ========================================
+
+describe('data-pattern', () => {
+  test('an invalid pattern is skipped with a warning and the other checks still run', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const form = document.getElementById('postal');
+
+    document.getElementById('zip').value = 'abc';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    const links = Array.from(form.querySelectorAll('.form-error-summary a'));
+    assert.deepEqual(links.map(link => link.dataset.field), ['city']);
+    assert.equal(document.getElementById('zip').getAttribute('aria-invalid'), null);
+    assert.equal(warn.mock.calls.length, 1);
+    assert.match(warn.mock.calls[0].arguments[0], /data-pattern on #zip/);
+  });
+});